@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const { runMain } = require('../lib/cli');
+
+runMain(process.argv.slice(2));
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// TLS certificates for HTTPS mock routers, built and signed in-process so no
+// openssl or network is needed. Every mode but self-signed is signed by a local
+// CA that kubo is told to trust (see writeCaFile), so each mode has exactly one
+// thing wrong with it.
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const TLS_MODES = {
+  'trusted': { description: 'signed by the trusted local CA', signedBy: 'ca', names: { dns: ['localhost'], ips: ['127.0.0.1'] }, validity: 'current' },
+  'self-signed': { description: 'self-signed', signedBy: 'self', names: { dns: ['localhost'], ips: ['127.0.0.1'] }, validity: 'current' },
+  'expired': { description: 'expired', signedBy: 'ca', names: { dns: ['localhost'], ips: ['127.0.0.1'] }, validity: 'expired' },
+  'wrong-hostname': { description: 'issued for another hostname', signedBy: 'ca', names: { dns: ['wrong-hostname.invalid'], ips: [] }, validity: 'current' }
+};
+
+const OIDS = {
+  commonName: '2.5.4.3',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  basicConstraints: '2.5.29.19',
+  keyUsage: '2.5.29.15',
+  subjectAltName: '2.5.29.17',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+// Minimal DER encoding, just what a certificate needs
+function tlv(tag, content) {
+  const length = content.length;
+  let header;
+  if (length < 0x80) {
+    header = Buffer.from([tag, length]);
+  } else {
+    const lengthBytes = [];
+    for (let remaining = length; remaining > 0; remaining >>= 8) {
+      lengthBytes.unshift(remaining & 0xff);
+    }
+    header = Buffer.from([tag, 0x80 | lengthBytes.length, ...lengthBytes]);
+  }
+  return Buffer.concat([header, content]);
+}
+
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+const set = (...items) => tlv(0x31, Buffer.concat(items));
+const explicit = (tagNumber, content) => tlv(0xa0 + tagNumber, content);
+const octetString = content => tlv(0x04, content);
+const bitString = (content, unusedBits = 0) => tlv(0x03, Buffer.concat([Buffer.from([unusedBits]), content]));
+const utf8String = value => tlv(0x0c, Buffer.from(value, 'utf8'));
+const boolean = value => tlv(0x01, Buffer.from([value ? 0xff : 0x00]));
+
+// Unsigned big-endian integer, with a leading zero when the top bit is set
+function integer(bytes) {
+  const content = bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes;
+  return tlv(0x02, content);
+}
+
+function oid(value) {
+  const [first, second, ...rest] = value.split('.').map(Number);
+  const bytes = [40 * first + second];
+  for (const arc of rest) {
+    const encoded = [arc & 0x7f];
+    for (let remaining = arc >> 7; remaining > 0; remaining >>= 7) {
+      encoded.unshift(0x80 | (remaining & 0x7f));
+    }
+    bytes.push(...encoded);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+// UTCTime up to 2049, GeneralizedTime after, as RFC 5280 asks
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(`${iso.slice(2)}Z`))
+    : tlv(0x18, Buffer.from(`${iso}Z`));
+}
+
+function name(commonName) {
+  return sequence(set(sequence(oid(OIDS.commonName), utf8String(commonName))));
+}
+
+function extension(id, value, critical = false) {
+  return sequence(oid(id), ...(critical ? [boolean(true)] : []), octetString(value));
+}
+
+function subjectAltName({ dns, ips }) {
+  return sequence(
+    ...dns.map(host => tlv(0x82, Buffer.from(host))),
+    ...ips.map(ip => tlv(0x87, Buffer.from(ip.split('.').map(Number))))
+  );
+}
+
+function validityPeriod(validity) {
+  const now = Date.now();
+  if (validity === 'expired') {
+    return [new Date(now - 30 * DAY_MS), new Date(now - DAY_MS)];
+  }
+  return [new Date(now - HOUR_MS), new Date(now + 30 * DAY_MS)];
+}
+
+// Positive and minimally encoded: Go rejects certificates with a leading zero
+// byte in the serial
+function serialNumber() {
+  const serial = crypto.randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) || 0x01;
+  return serial;
+}
+
+// Builds and signs one certificate. issuer is { commonName, privateKey }; the
+// certificate signs itself when it is omitted.
+function createCertificate({ commonName, publicKey, privateKey, issuer = { commonName, privateKey }, isCa = false, names = null, validity = 'current' }) {
+  const [notBefore, notAfter] = validityPeriod(validity);
+  const signatureAlgorithm = sequence(oid(OIDS.ecdsaWithSha256));
+
+  const extensions = isCa
+    ? [
+      extension(OIDS.basicConstraints, sequence(boolean(true)), true),
+      // keyCertSign and cRLSign
+      extension(OIDS.keyUsage, bitString(Buffer.from([0x06]), 1), true)
+    ]
+    : [
+      extension(OIDS.basicConstraints, sequence()),
+      // digitalSignature
+      extension(OIDS.keyUsage, bitString(Buffer.from([0x80]), 7), true),
+      extension(OIDS.extKeyUsage, sequence(oid(OIDS.serverAuth))),
+      extension(OIDS.subjectAltName, subjectAltName(names))
+    ];
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(Buffer.from([0x02]))), // v3
+    integer(serialNumber()),
+    signatureAlgorithm,
+    name(issuer.commonName),
+    sequence(time(notBefore), time(notAfter)),
+    name(commonName),
+    publicKey.export({ format: 'der', type: 'spki' }),
+    explicit(3, sequence(...extensions))
+  );
+  const signature = crypto.sign('sha256', tbsCertificate, issuer.privateKey);
+
+  const der = sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+  return `-----BEGIN CERTIFICATE-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+}
+
+// One CA and one certificate per mode for the whole process
+let certificateAuthority = null;
+const certificates = new Map();
+
+function getCertificateAuthority() {
+  if (!certificateAuthority) {
+    const { publicKey, privateKey } = generateKeyPair();
+    const commonName = 'kubo-router-repro local CA';
+    certificateAuthority = {
+      commonName,
+      privateKey,
+      cert: createCertificate({ commonName, publicKey, privateKey, isCa: true })
+    };
+  }
+  return certificateAuthority;
+}
+
+// Key and certificate (PEM) for an HTTPS mock router in the given TLS_MODES mode
+function routerCertificate(mode) {
+  if (!TLS_MODES[mode]) {
+    throw new Error(`Unknown TLS mode '${mode}', expected one of: ${Object.keys(TLS_MODES).join(', ')}`);
+  }
+  if (!certificates.has(mode)) {
+    const { signedBy, names, validity } = TLS_MODES[mode];
+    const { publicKey, privateKey } = generateKeyPair();
+    const cert = createCertificate({
+      commonName: `kubo-router-repro ${mode} router`,
+      publicKey,
+      privateKey,
+      issuer: signedBy === 'ca' ? getCertificateAuthority() : undefined,
+      names,
+      validity
+    });
+    certificates.set(mode, { key: privateKey.export({ format: 'pem', type: 'pkcs8' }), cert });
+  }
+  return certificates.get(mode);
+}
+
+// Writes the local CA certificate for kubo to trust through SSL_CERT_FILE. That
+// replaces the system roots for the process, which is fine: kubo only talks to
+// local routers in these scenarios.
+function writeCaFile(file) {
+  fs.writeFileSync(file, getCertificateAuthority().cert);
+  return file;
+}
+
+module.exports = {
+  TLS_MODES,
+  routerCertificate,
+  writeCaFile
+};
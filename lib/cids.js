@@ -0,0 +1,126 @@
+// Just enough CID decoding to tell whether two CID strings name the same
+// content. Kubo may print a CIDv0 (Qm...) where a router or the wantlist has the
+// CIDv1 (bafy...) of the same block, so CIDs are compared by their multihash.
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// sha2-256 multihash: code 0x12, 32-byte digest. A CIDv0 is nothing but this.
+const SHA2_256 = 0x12;
+
+function decodeBase58(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+  // Each leading '1' is a leading zero byte
+  const zeros = text.match(/^1*/)[0].length;
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes]);
+}
+
+function decodeBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text.toLowerCase()) {
+    const digit = BASE32_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    buffer = (buffer << 5) | digit;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeBase16(text) {
+  return /^([0-9a-f]{2})*$/i.test(text) ? Buffer.from(text, 'hex') : null;
+}
+
+// Multibase prefixes kubo and routing clients use
+const MULTIBASES = {
+  'b': decodeBase32,
+  'B': decodeBase32,
+  'z': decodeBase58,
+  'f': decodeBase16,
+  'F': decodeBase16
+};
+
+// Reads an unsigned varint at offset: [value, next offset], or null
+function readVarint(bytes, offset) {
+  let value = 0;
+  for (let shift = 0, index = offset; index < bytes.length && shift < 63; shift += 7, index++) {
+    value += (bytes[index] & 0x7f) * 2 ** shift;
+    if ((bytes[index] & 0x80) === 0) {
+      return [value, index + 1];
+    }
+  }
+  return null;
+}
+
+// Checks that bytes from offset are exactly one multihash (code, length, digest)
+function isMultihash(bytes, offset) {
+  const code = readVarint(bytes, offset);
+  const length = code && readVarint(bytes, code[1]);
+  return Boolean(length) && length[1] + length[0] === bytes.length;
+}
+
+// The multihash of a CID string (v0, or v1 in base32, base58btc or base16) as
+// hex, or null when the string is not a CID this can decode
+function multihashOf(cid) {
+  if (typeof cid !== 'string' || cid.length < 2) {
+    return null;
+  }
+
+  let bytes;
+  if (cid.length === 46 && cid.startsWith('Qm')) {
+    bytes = decodeBase58(cid);
+  } else {
+    bytes = MULTIBASES[cid[0]]?.(cid.slice(1)) ?? null;
+  }
+  if (!bytes || bytes.length < 2) {
+    return null;
+  }
+
+  // A CIDv0 in binary form is a bare sha2-256 multihash
+  if (bytes[0] === SHA2_256 && bytes[1] === 32 && bytes.length === 34) {
+    return bytes.toString('hex');
+  }
+  const version = readVarint(bytes, 0);
+  const codec = version?.[0] === 1 ? readVarint(bytes, version[1]) : null;
+  if (!codec || !isMultihash(bytes, codec[1])) {
+    return null;
+  }
+  return bytes.subarray(codec[1]).toString('hex');
+}
+
+// Whether two CID strings name the same content. Strings that do not decode
+// are compared as they are.
+function sameContent(a, b) {
+  const multihash = multihashOf(a);
+  return multihash === null ? a === b : multihash === multihashOf(b);
+}
+
+// Whether cids (an array of CID strings) has one with the same content as cid
+function includesCid(cids, cid) {
+  return cids.some(other => sameContent(other, cid));
+}
+
+module.exports = {
+  multihashOf,
+  sameContent,
+  includesCid
+};
@@ -0,0 +1,398 @@
+const { parseArgs } = require('util');
+const { parseDuration } = require('./utils');
+const { BEHAVIORS } = require('./mock-router');
+const { FAULTS } = require('./fault-proxy');
+const { TLS_MODES } = require('./certificates');
+const { getScenarios, printMixedHealthSummary } = require('./scenarios');
+const { ScenarioFileError, loadScenarioFile } = require('./scenario-loader');
+const { DEFAULT_OPTIONS, runScenarios } = require('./runner');
+const { REPORTERS, reportResults, logToStderr } = require('./reporters');
+const { EXIT_CODES } = require('./results');
+const { ROUTER_TYPES } = require('./routing-config');
+const { DEFAULT_TIME_TO_FAILURE_BUDGET, parseBudget } = require('./timings');
+const { RETRIEVAL_COMMANDS, resolveCommandNames, describeCommand, printCliComparison } = require('./commands');
+const { expandMatrix, printMatrixSummary } = require('./matrix');
+const { installTeardownHandlers, runTeardown } = require('./teardown');
+
+const HELP = `Usage: kubo-router-repro <command> [options]
+
+Commands:
+  run               Run one or more scenarios against a fresh kubo repo and daemon
+  matrix            Run scenarios across every combination of the matrix options
+  list              List the available scenarios and mock router behaviors
+  validate <file>   Check scenario files (JSON or YAML) without running them
+
+Options for run:
+  --scenario <name>         Scenario to run, repeatable (default: offline-routers)
+  --scenario-file <path>    Scenario file (JSON or YAML) to run, repeatable
+  --behavior <name>         Mock router behavior for the generated scenarios, repeatable (default:
+                            every behavior for failure-modes, offline/not-found/hang for routing-methods,
+                            accept/offline/http-500/hang for delegated-provide, not-found for
+                            network-faults and tls-failures)
+  --command <name>          Run every scenario through this retrieval command instead of its own,
+                            repeatable: all, ${Object.keys(RETRIEVAL_COMMANDS).join(', ')}
+  --cid <cid>               CID to fetch (default: ${DEFAULT_OPTIONS.cid})
+  --ignore-errors <bool>    IgnoreErrors for every delegated router (default: per scenario, else ${DEFAULT_OPTIONS.ignoreErrors})
+  --router-timeout <dur>    Timeout for every delegated router (default: ${DEFAULT_OPTIONS.routerTimeout})
+  --router-count <n>        Number of delegated routers, repeating the scenario's last one (default: per scenario)
+  --router-type <type>      How delegated routers are combined: ${Object.keys(ROUTER_TYPES).join(', ')} (default: ${DEFAULT_OPTIONS.routerType})
+  --fetch-timeout <dur>     How long to wait for the fetch before declaring it hung (default: per scenario, else ${DEFAULT_OPTIONS.fetchTimeoutMs / 1000}s)
+  --api-timeout <dur|none>  timeout argument sent with rpc-* requests (default: ${DEFAULT_OPTIONS.apiTimeout})
+  --observe <dur>           How long to keep mock routers up after the client gives up (default: ${DEFAULT_OPTIONS.observeMs / 1000}s)
+  --startup-timeout <dur>   How long the kubo daemon gets to become ready (default: ${DEFAULT_OPTIONS.startupTimeoutMs / 1000}s)
+  --sample-interval <dur|none>
+                            How often the daemon's wantlist, bitswap stats and peers are sampled during
+                            the fetch (default: ${DEFAULT_OPTIONS.sampleIntervalMs / 1000}s)
+  --max-time-to-failure <budget>
+                            How soon a failing fetch must fail, as a duration or 'Nx routerTimeout'
+                            (default: per scenario, else '${DEFAULT_TIME_TO_FAILURE_BUDGET}')
+  --router-ports <list>     Comma-separated ports for the delegated routers (default: free ports picked per run)
+  --kubo-ports <list>       Swarm, API and gateway port for the kubo node (default: free ports picked per run)
+  --concurrency <n>         How many runs go at once (default: ${DEFAULT_OPTIONS.concurrency})
+  --kubo-bin <path>         kubo binary to test (default: node_modules/kubo/kubo/ipfs)
+  --kubo-version <version>  Expected kubo version (default: ${DEFAULT_OPTIONS.kuboVersion})
+  --keep-repo               Keep the run repos (created under the OS temp directory) for debugging
+  --reporter <name>         Machine-readable report: ${Object.keys(REPORTERS).join(', ')} (default: $KUBO_REPRO_REPORTER)
+  --output <file>           Write the report to a file instead of stdout, where it is alone: the
+                            progress log goes to stderr then (default: $KUBO_REPRO_REPORT_FILE)
+  -h, --help                Show this help
+
+Options for matrix: everything run takes, except that --ignore-errors,
+--router-timeout, --router-count and --router-type take comma-separated lists.
+Defaults: --ignore-errors true,false --router-timeout 1s,5s --router-count 1,2
+--router-type parallel,sequential
+
+Durations use the kubo config format: 500ms, 5s, 1m30s.
+
+Exit codes: ${Object.entries(EXIT_CODES).map(([verdict, code]) => `${code} ${verdict}`).join(', ')}
+`;
+
+const OPTIONS = {
+  'scenario': { type: 'string', multiple: true },
+  'scenario-file': { type: 'string', multiple: true },
+  'behavior': { type: 'string', multiple: true },
+  'command': { type: 'string', multiple: true },
+  'cid': { type: 'string' },
+  'ignore-errors': { type: 'string' },
+  'router-timeout': { type: 'string' },
+  'router-count': { type: 'string' },
+  'router-type': { type: 'string' },
+  'fetch-timeout': { type: 'string' },
+  'api-timeout': { type: 'string' },
+  'observe': { type: 'string' },
+  'startup-timeout': { type: 'string' },
+  'sample-interval': { type: 'string' },
+  'max-time-to-failure': { type: 'string' },
+  'router-ports': { type: 'string' },
+  'kubo-ports': { type: 'string' },
+  'concurrency': { type: 'string' },
+  'kubo-bin': { type: 'string' },
+  'kubo-version': { type: 'string' },
+  'keep-repo': { type: 'boolean' },
+  'reporter': { type: 'string' },
+  'output': { type: 'string' },
+  'help': { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function parseBoolean(name, value) {
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  throw new UsageError(`--${name} must be true or false, got '${value}'`);
+}
+
+function parsePorts(name, value) {
+  return value.split(',').map((text) => {
+    const port = Number(text.trim());
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new UsageError(`Invalid port '${text}' in --${name}`);
+    }
+    return port;
+  });
+}
+
+function parsePositiveInteger(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer, got '${value}'`);
+  }
+  return number;
+}
+
+function parseDurationOption(name, value) {
+  try {
+    return parseDuration(value);
+  } catch (error) {
+    throw new UsageError(`--${name}: ${error.message}`);
+  }
+}
+
+function parseRouterType(value) {
+  if (!ROUTER_TYPES[value]) {
+    throw new UsageError(`--router-type must be one of: ${Object.keys(ROUTER_TYPES).join(', ')}, got '${value}'`);
+  }
+  return value;
+}
+
+// Flags that are a single value for run and a comma-separated axis for matrix
+const MATRIX_FLAGS = {
+  'ignore-errors': { axis: 'ignoreErrors', parse: value => parseBoolean('ignore-errors', value) },
+  'router-timeout': {
+    axis: 'routerTimeout',
+    parse: (value) => {
+      parseDurationOption('router-timeout', value);
+      return value;
+    }
+  },
+  'router-count': { axis: 'routerCount', parse: value => parsePositiveInteger('router-count', value) },
+  'router-type': { axis: 'routerType', parse: parseRouterType }
+};
+
+function toMatrixAxes(values) {
+  const axes = {};
+  for (const [flag, { axis, parse }] of Object.entries(MATRIX_FLAGS)) {
+    if (values[flag] !== undefined) {
+      axes[axis] = values[flag].split(',').map(value => parse(value.trim()));
+    }
+  }
+  return axes;
+}
+
+// Turns parsed flags into runScenarios options, leaving out anything not given
+// so scenario defaults still apply
+function toRunOptions(values) {
+  const options = {};
+
+  if (values.cid !== undefined) {
+    options.cid = values.cid;
+  }
+  for (const [flag, { axis, parse }] of Object.entries(MATRIX_FLAGS)) {
+    if (values[flag] !== undefined) {
+      options[axis] = parse(values[flag]);
+    }
+  }
+  if (values['api-timeout'] !== undefined) {
+    if (values['api-timeout'] !== 'none') {
+      parseDurationOption('api-timeout', values['api-timeout']);
+    }
+    options.apiTimeout = values['api-timeout'] === 'none' ? null : values['api-timeout'];
+  }
+  if (values['fetch-timeout'] !== undefined) {
+    options.fetchTimeoutMs = parseDurationOption('fetch-timeout', values['fetch-timeout']);
+  }
+  if (values.observe !== undefined) {
+    options.observeMs = parseDurationOption('observe', values.observe);
+  }
+  if (values['startup-timeout'] !== undefined) {
+    options.startupTimeoutMs = parseDurationOption('startup-timeout', values['startup-timeout']);
+  }
+  if (values['sample-interval'] !== undefined) {
+    options.sampleIntervalMs = values['sample-interval'] === 'none' ? null : parseDurationOption('sample-interval', values['sample-interval']);
+    if (options.sampleIntervalMs === 0) {
+      throw new UsageError('--sample-interval must be longer than 0, or none');
+    }
+  }
+  if (values['max-time-to-failure'] !== undefined) {
+    try {
+      parseBudget(values['max-time-to-failure']);
+    } catch (error) {
+      throw new UsageError(`--max-time-to-failure: ${error.message}`);
+    }
+    options.maxTimeToFailure = values['max-time-to-failure'];
+  }
+  if (values['router-ports'] !== undefined) {
+    options.routerPorts = parsePorts('router-ports', values['router-ports']);
+  }
+  if (values['kubo-ports'] !== undefined) {
+    const ports = parsePorts('kubo-ports', values['kubo-ports']);
+    if (ports.length !== 3) {
+      throw new UsageError(`--kubo-ports needs swarm, API and gateway port, got '${values['kubo-ports']}'`);
+    }
+    const [swarm, api, gateway] = ports;
+    options.kuboPorts = { swarm, api, gateway };
+  }
+  if (values.concurrency !== undefined) {
+    options.concurrency = parsePositiveInteger('concurrency', values.concurrency);
+  }
+  if (values['kubo-bin'] !== undefined) {
+    options.kuboPath = values['kubo-bin'];
+  }
+  if (values['kubo-version'] !== undefined) {
+    options.kuboVersion = values['kubo-version'];
+  }
+  if (values['keep-repo'] !== undefined) {
+    options.keepRepo = values['keep-repo'];
+  }
+  if (values.behavior !== undefined) {
+    const unknown = values.behavior.filter(behavior => !BEHAVIORS[behavior]);
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown behavior(s): ${unknown.join(', ')}. Available: ${Object.keys(BEHAVIORS).join(', ')}`);
+    }
+    options.behaviors = values.behavior;
+  }
+  if (values.command !== undefined) {
+    try {
+      options.commands = resolveCommandNames(values.command);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+
+  return options;
+}
+
+function listScenarios() {
+  console.log('Scenarios:');
+  for (const [name, { description }] of Object.entries(getScenarios())) {
+    console.log(`  ${name.padEnd(18)} ${description}`);
+  }
+  console.log('\nMock router behaviors:');
+  console.log(`  ${Object.keys(BEHAVIORS).join(', ')}`);
+  console.log('\nNetwork faults:');
+  console.log(`  ${Object.keys(FAULTS).join(', ')}`);
+  console.log('\nTLS modes:');
+  console.log(`  ${Object.keys(TLS_MODES).join(', ')}`);
+  console.log('\nRetrieval commands:');
+  for (const [name, args] of Object.entries(RETRIEVAL_COMMANDS)) {
+    console.log(`  ${name.padEnd(18)} ${describeCommand(args)}`);
+  }
+}
+
+function validateFiles(files) {
+  if (files.length === 0) {
+    throw new UsageError('validate needs at least one scenario file');
+  }
+
+  let valid = true;
+  for (const file of files) {
+    try {
+      const scenario = loadScenarioFile(file);
+      console.log(`✅ ${file}: scenario '${scenario.name}' is valid`);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      valid = false;
+    }
+  }
+  return valid ? 0 : EXIT_CODES['harness-error'];
+}
+
+// Resolves --scenario and --scenario-file into what runScenarios takes
+function selectScenarios(values) {
+  const names = values.scenario ?? (values['scenario-file'] ? [] : ['offline-routers']);
+  const available = getScenarios();
+  const unknown = names.filter(name => !available[name]);
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown scenario(s): ${unknown.join(', ')}. Available: ${Object.keys(available).join(', ')}`);
+  }
+  // Scenario file errors are reported before anything starts
+  return [...names, ...(values['scenario-file'] ?? []).map(loadScenarioFile)];
+}
+
+function reportOptions(values) {
+  if (values.reporter !== undefined && !REPORTERS[values.reporter]) {
+    throw new UsageError(`Unknown reporter '${values.reporter}', expected one of: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+
+  const report = {
+    reporter: values.reporter ?? process.env.KUBO_REPRO_REPORTER,
+    output: values.output ?? process.env.KUBO_REPRO_REPORT_FILE
+  };
+  if (report.reporter && !report.output) {
+    logToStderr();
+  }
+  return report;
+}
+
+async function run(values) {
+  const scenarios = selectScenarios(values);
+  const report = reportOptions(values);
+
+  const results = await runScenarios(scenarios, toRunOptions(values));
+  printMixedHealthSummary(results);
+  printCliComparison(results);
+  return reportResults(results, report);
+}
+
+async function matrix(values) {
+  const scenarios = selectScenarios(values);
+  const report = reportOptions(values);
+  const cells = expandMatrix(toMatrixAxes(values));
+
+  const runValues = { ...values };
+  for (const flag of Object.keys(MATRIX_FLAGS)) {
+    delete runValues[flag];
+  }
+
+  console.log(`Running ${scenarios.length} scenario(s) across ${cells.length} matrix cells`);
+  const results = await runScenarios(scenarios, toRunOptions(runValues), { cells });
+  printMatrixSummary(results);
+  printMixedHealthSummary(results);
+  printCliComparison(results);
+  return reportResults(results, report);
+}
+
+// Resolves to the process exit code
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${HELP}`);
+    return EXIT_CODES['harness-error'];
+  }
+
+  const { values, positionals } = parsed;
+  const command = positionals[0];
+
+  if (values.help || !command) {
+    console.log(HELP);
+    return values.help ? 0 : EXIT_CODES['harness-error'];
+  }
+
+  try {
+    switch (command) {
+      case 'list':
+        listScenarios();
+        return 0;
+      case 'validate':
+        return validateFiles(positionals.slice(1));
+      case 'run':
+        return await run(values);
+      case 'matrix':
+        return await matrix(values);
+      default:
+        throw new UsageError(`Unknown command '${command}'`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${HELP}`);
+    } else if (error instanceof ScenarioFileError) {
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error('Test failed:', error);
+    }
+    return EXIT_CODES['harness-error'];
+  }
+}
+
+// Runs main() as the whole process: tears everything down on signals and
+// uncaught errors (exiting with harness-error, since the results are
+// incomplete) and once main() is done, then exits with the resulting code
+function runMain(argv) {
+  installTeardownHandlers({ exitCode: EXIT_CODES['harness-error'] });
+
+  main(argv).then(async (exitCode) => {
+    await runTeardown();
+    process.exit(exitCode);
+  });
+}
+
+module.exports = {
+  main,
+  runMain
+};
@@ -0,0 +1,116 @@
+const path = require('path');
+
+// Not kubo commands: [gateway, <path>] GETs path from the daemon's gateway and
+// [rpc, <command>, ...args] calls /api/v0/<command> on its RPC API
+const GATEWAY_COMMAND = 'gateway';
+const RPC_COMMAND = 'rpc';
+
+// Retrieval commands a scenario can be run through (--command). {cid} is the
+// CID under test and {output} a path inside the run's repo for commands that
+// write files. Any command can also use {input}, a file of fresh random content
+// in the run's repo, and {input-cid}, the CID of that content, which is added to
+// the repo before the daemon starts.
+const RETRIEVAL_COMMANDS = {
+  'cat': ['cat', '{cid}'],
+  'get': ['get', '{cid}', '--output', '{output}'],
+  'dag-get': ['dag', 'get', '{cid}'],
+  'block-get': ['block', 'get', '{cid}'],
+  'findprovs': ['routing', 'findprovs', '{cid}'],
+  'pin-add': ['pin', 'add', '{cid}'],
+  'dag-stat': ['dag', 'stat', '{cid}'],
+  'gateway': [GATEWAY_COMMAND, '/ipfs/{cid}'],
+  'gateway-raw': [GATEWAY_COMMAND, '/ipfs/{cid}?format=raw'],
+  'gateway-car': [GATEWAY_COMMAND, '/ipfs/{cid}?format=car'],
+  'rpc-cat': [RPC_COMMAND, 'cat', '{cid}'],
+  'rpc-dag-get': [RPC_COMMAND, 'dag/get', '{cid}'],
+  'rpc-findprovs': [RPC_COMMAND, 'routing/findprovs', '{cid}']
+};
+
+// The CLI command each RPC command is compared with
+const CLI_EQUIVALENTS = {
+  'rpc-cat': 'cat',
+  'rpc-dag-get': 'dag-get',
+  'rpc-findprovs': 'findprovs'
+};
+
+// Expands 'all' and checks the names, so a typo fails before anything starts
+function resolveCommandNames(names) {
+  const resolved = names.includes('all') ? Object.keys(RETRIEVAL_COMMANDS) : names;
+  const unknown = resolved.filter(name => !RETRIEVAL_COMMANDS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown command(s): ${unknown.join(', ')}, expected all or one of: ${Object.keys(RETRIEVAL_COMMANDS).join(', ')}`);
+  }
+  return resolved;
+}
+
+function usesInput(command) {
+  return command.some(arg => /\{input(-cid)?\}/.test(arg));
+}
+
+function inputPath(repoPath) {
+  return path.join(repoPath, 'input.txt');
+}
+
+function commandArgs(command, { cid, repoPath, inputCid = null }) {
+  return command.map(arg => arg
+    .replace(/\{cid\}/g, cid)
+    .replace(/\{output\}/g, path.join(repoPath, 'output'))
+    .replace(/\{input\}/g, inputPath(repoPath))
+    .replace(/\{input-cid\}/g, inputCid));
+}
+
+// How a command reaches kubo: a gateway GET, an RPC API POST with its arguments
+// as arg parameters, or an ipfs CLI invocation
+function describeCommand([first, ...rest]) {
+  if (first === GATEWAY_COMMAND) {
+    return `GET <gateway>${rest[0]}`;
+  }
+  if (first === RPC_COMMAND) {
+    const [command, ...args] = rest;
+    return `POST /api/v0/${command}${args.length > 0 ? `?${args.map(arg => `arg=${arg}`).join('&')}` : ''}`;
+  }
+  return `ipfs ${[first, ...rest].join(' ')}`;
+}
+
+// Puts every rpc-* run next to the CLI run of the same scenario (and matrix
+// cell), when both were part of the run
+function printCliComparison(results) {
+  const byName = new Map(results.map(result => [result.scenario, result]));
+  const rows = [];
+
+  for (const result of results) {
+    const commandName = result.parameters?.commandName;
+    if (!CLI_EQUIVALENTS[commandName]) {
+      continue;
+    }
+    const cli = byName.get(result.scenario.replace(`:${commandName}`, `:${CLI_EQUIVALENTS[commandName]}`));
+    rows.push({
+      scenario: result.scenario.replace(`:${commandName}`, ''),
+      rpc: commandName,
+      rpcOutcome: result.outcome,
+      rpcMs: result.elapsedMs,
+      cli: CLI_EQUIVALENTS[commandName],
+      cliOutcome: cli?.outcome ?? 'not run',
+      cliMs: cli?.elapsedMs ?? '-',
+      same: cli ? cli.outcome === result.outcome : '-'
+    });
+  }
+
+  if (rows.length > 0) {
+    console.log('\n=== RPC API VS CLI ===');
+    console.table(rows);
+  }
+}
+
+module.exports = {
+  GATEWAY_COMMAND,
+  RPC_COMMAND,
+  RETRIEVAL_COMMANDS,
+  CLI_EQUIVALENTS,
+  describeCommand,
+  resolveCommandNames,
+  usesInput,
+  inputPath,
+  commandArgs,
+  printCliComparison
+};
@@ -0,0 +1,77 @@
+// kubo logs through go-log, configured with GOLOG_* environment variables. The
+// daemon is started with everything at error, except the subsystems that take
+// part in a routed fetch, at debug and as JSON lines on stderr:
+// - routing/http/client and routing/http/contentrouter: the delegated router client
+// - routing/composable: HttpRoutersParallel and HttpRoutersSequential
+// - bitswap, bitswap/client, bitswap/session: the block exchange waiting on providers
+// Unknown names are ignored by go-log, so the list can cover several kubo versions.
+const LOG_SUBSYSTEMS = [
+  'routing/http/client',
+  'routing/http/contentrouter',
+  'routing/composable',
+  'bitswap',
+  'bitswap/client',
+  'bitswap/session'
+];
+
+const DEFAULT_LOG_LEVEL = 'error';
+
+function daemonLogEnv(subsystems = LOG_SUBSYSTEMS) {
+  return {
+    GOLOG_LOG_LEVEL: [DEFAULT_LOG_LEVEL, ...subsystems.map(subsystem => `${subsystem}=debug`)].join(','),
+    GOLOG_LOG_FMT: 'json'
+  };
+}
+
+// One go-log JSON line as { at, level, logger, msg, caller, fields }, or null
+// for anything else the daemon writes to stderr (panics, plain output)
+function parseLogLine(line) {
+  if (!line.startsWith('{')) {
+    return null;
+  }
+
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (typeof entry.msg !== 'string' || typeof entry.logger !== 'string') {
+    return null;
+  }
+
+  const { ts, level, logger, msg, caller, ...fields } = entry;
+  // go-log writes ISO 8601 timestamps; epoch seconds are accepted too
+  const at = typeof ts === 'number' ? Math.round(ts * 1000) : Date.parse(ts);
+  return {
+    at: Number.isNaN(at) ? Date.now() : at,
+    level: level ?? 'info',
+    logger,
+    msg,
+    caller: caller ?? null,
+    fields
+  };
+}
+
+// Splits a stream's chunks into lines, holding back a partial last line until
+// the rest of it arrives
+function lineSplitter(onLine) {
+  let pending = '';
+  return (chunk) => {
+    pending += chunk.toString();
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      if (line.trim() !== '') {
+        onLine(line);
+      }
+    }
+  };
+}
+
+module.exports = {
+  LOG_SUBSYSTEMS,
+  daemonLogEnv,
+  parseLogLine,
+  lineSplitter
+};
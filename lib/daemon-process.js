@@ -0,0 +1,227 @@
+const { spawn } = require('child_process');
+const http = require('http');
+const { sleep } = require('./utils');
+const { daemonLogEnv, parseLogLine, lineSplitter } = require('./daemon-log');
+const { trackChild, killProcessGroup } = require('./teardown');
+
+const DEFAULT_STARTUP_TIMEOUT_MS = 60000;
+const PROBE_INTERVAL_MS = 250;
+const PROBE_TIMEOUT_MS = 2000;
+// Output lines kept for crash reports
+const RECENT_LINES = 20;
+
+// Startup failures recognized in the daemon's output. kubo exits on both, but
+// the output says why, which a bare exit code does not.
+const STARTUP_FAILURES = [
+  {
+    reason: 'repo-locked',
+    pattern: /someone else has the lock|cannot acquire lock|repo\.lock/i,
+    description: 'the repo is locked by another ipfs daemon or command'
+  },
+  {
+    reason: 'port-in-use',
+    pattern: /address already in use|failed to listen on any addresses/i,
+    description: 'one of the kubo ports is taken by another process'
+  }
+];
+
+// Why the daemon could not be used: reason is spawn-failed, startup-timeout,
+// repo-locked, port-in-use or crashed. The message ends with the daemon's last
+// output lines.
+class DaemonError extends Error {
+  constructor(reason, message, { exitCode = null, signal = null, lastLines = [] } = {}) {
+    const output = lastLines.length > 0 ? `\nLast daemon output:\n${lastLines.map(line => `  ${line}`).join('\n')}` : '';
+    super(`${message}${output}`);
+    this.reason = reason;
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.lastLines = lastLines;
+  }
+}
+
+function describeExit({ code, signal }) {
+  return signal ? `was killed by ${signal}` : `exited with code ${code}`;
+}
+
+// One `ipfs daemon` process, from spawn to stop. Ready means it printed
+// "Daemon is ready" and its API answers /api/v0/id; start() gives up at the
+// startup deadline, on a recognized startup failure or when the process exits.
+class DaemonProcess {
+  constructor({ kuboPath, env, apiUrl, captureLogs = false, startupTimeoutMs = DEFAULT_STARTUP_TIMEOUT_MS }) {
+    this.kuboPath = kuboPath;
+    this.env = env;
+    this.apiUrl = apiUrl;
+    this.captureLogs = captureLogs;
+    this.startupTimeoutMs = startupTimeoutMs;
+    this.child = null;
+    this.output = ''; // Everything but log lines, for crash reports
+    this.log = [];
+    this.recentLines = [];
+    this.readyLineSeen = false;
+    this.ready = false;
+    this.startupFailure = null;
+    this.spawnError = null;
+    this.exit = null; // { code, signal, at } once the process is gone
+    this.stopping = false;
+  }
+
+  get running() {
+    return this.child !== null && this.exit === null && this.spawnError === null;
+  }
+
+  remember(line) {
+    this.recentLines.push(line);
+    if (this.recentLines.length > RECENT_LINES) {
+      this.recentLines.shift();
+    }
+    if (!this.ready) {
+      this.startupFailure = this.startupFailure ?? STARTUP_FAILURES.find(({ pattern }) => pattern.test(line)) ?? null;
+    }
+  }
+
+  onStdout(line) {
+    this.output += `${line}\n`;
+    this.remember(line);
+    console.log('DAEMON:', line.trim());
+    if (line.includes('Daemon is ready')) {
+      this.readyLineSeen = true;
+    }
+  }
+
+  // Log lines are collected quietly, apart from warnings and errors; anything
+  // else on stderr is echoed
+  onStderr(line) {
+    const entry = parseLogLine(line);
+    if (!entry) {
+      this.output += `${line}\n`;
+      this.remember(line);
+      console.log('DAEMON ERROR:', line.trim());
+      return;
+    }
+    this.log.push(entry);
+    this.remember(`${entry.level} ${entry.logger}: ${entry.msg}`);
+    if (entry.level !== 'debug' && entry.level !== 'info') {
+      console.log(`DAEMON LOG: ${entry.level} ${entry.logger}: ${entry.msg}`);
+    }
+  }
+
+  onExit(code, signal) {
+    this.exit = { code, signal, at: Date.now() };
+    if (this.ready && !this.stopping) {
+      console.log(`❌ Daemon ${describeExit(this.exit)} while the scenario was running`);
+      for (const line of this.recentLines) {
+        console.log(`   ${line}`);
+      }
+    }
+  }
+
+  // Only the daemon gets the log settings: CLI commands would write the same
+  // JSON lines into the stderr their outcome is judged by
+  async start() {
+    this.child = trackChild(spawn(this.kuboPath, ['daemon'], {
+      env: this.captureLogs ? { ...this.env, ...daemonLogEnv() } : this.env,
+      stdio: 'pipe',
+      detached: true
+    }));
+    this.child.stdout.on('data', lineSplitter(line => this.onStdout(line)));
+    this.child.stderr.on('data', lineSplitter(line => this.onStderr(line)));
+    this.child.on('exit', (code, signal) => this.onExit(code, signal));
+    this.child.on('error', (error) => {
+      this.spawnError = error;
+    });
+
+    const deadline = Date.now() + this.startupTimeoutMs;
+    while (Date.now() < deadline) {
+      if (this.spawnError) {
+        throw new DaemonError('spawn-failed', `Could not start ${this.kuboPath}: ${this.spawnError.message}`);
+      }
+      if (this.startupFailure) {
+        await this.stop();
+        throw this.error(this.startupFailure.reason, `Daemon failed to start: ${this.startupFailure.description}`);
+      }
+      if (this.exit) {
+        throw this.error('crashed', `Daemon ${describeExit(this.exit)} before it was ready`);
+      }
+      if (this.readyLineSeen && await this.probe()) {
+        this.ready = true;
+        console.log(`✅ Daemon API answers ${this.apiUrl}/api/v0/id`);
+        return;
+      }
+      await sleep(PROBE_INTERVAL_MS);
+    }
+
+    const stage = this.readyLineSeen
+      ? `it printed "Daemon is ready" but ${this.apiUrl}/api/v0/id never answered`
+      : 'it never printed "Daemon is ready"';
+    await this.stop();
+    throw this.error('startup-timeout', `Daemon was not ready within ${this.startupTimeoutMs / 1000}s: ${stage}`);
+  }
+
+  // Resolves to true once the API answers /api/v0/id with the node's identity
+  probe() {
+    return new Promise((resolve) => {
+      const request = http.request(`${this.apiUrl}/api/v0/id`, { method: 'POST', agent: false, timeout: PROBE_TIMEOUT_MS }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          try {
+            resolve(res.statusCode === 200 && Boolean(JSON.parse(body).ID));
+          } catch {
+            resolve(false);
+          }
+        });
+        res.on('error', () => resolve(false));
+      });
+      request.on('timeout', () => request.destroy());
+      request.on('error', () => resolve(false));
+      request.end();
+    });
+  }
+
+  error(reason, message) {
+    return new DaemonError(reason, message, {
+      exitCode: this.exit?.code ?? null,
+      signal: this.exit?.signal ?? null,
+      lastLines: [...this.recentLines]
+    });
+  }
+
+  // Throws if the daemon went away after it was ready, which makes whatever the
+  // client saw meaningless
+  checkAlive() {
+    if (this.ready && this.exit && !this.stopping) {
+      throw this.error('crashed', `Daemon ${describeExit(this.exit)} during the scenario`);
+    }
+  }
+
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.stopping = true;
+    console.log('Shutting down daemon...');
+    killProcessGroup(this.child, 'SIGTERM');
+
+    let attempts = 0;
+    while (this.exit === null && attempts < 10) {
+      await sleep(500);
+      attempts++;
+    }
+
+    if (this.exit === null) {
+      console.log('Force killing daemon...');
+      killProcessGroup(this.child, 'SIGKILL');
+      await sleep(1000);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_STARTUP_TIMEOUT_MS,
+  STARTUP_FAILURES,
+  DaemonError,
+  DaemonProcess
+};
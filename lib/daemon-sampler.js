@@ -0,0 +1,199 @@
+const http = require('http');
+const { sleep } = require('./utils');
+const { includesCid } = require('./cids');
+
+const DEFAULT_SAMPLE_INTERVAL_MS = 2000;
+// A sample request the API does not answer within this is recorded as failed;
+// an API that stops answering is worth knowing about in itself
+const SAMPLE_TIMEOUT_MS = 2000;
+
+// POSTs an RPC command to the daemon's API and resolves to its JSON answer;
+// rejects on errors, non-200 answers and timeouts
+function rpcRequest(apiUrl, command) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(`${apiUrl}/api/v0/${command}`, { method: 'POST', agent: false, timeout: SAMPLE_TIMEOUT_MS }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode}: ${body.trim()}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch {
+          reject(new Error(`not JSON: ${body.slice(0, 80)}`));
+        }
+      });
+      res.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error(`no answer within ${SAMPLE_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+// Wantlist keys are CID links ({ "/": cid })
+function cidsOf(links) {
+  return (links ?? []).map(link => link['/']);
+}
+
+// Samples what the daemon is doing while a fetch waits: `ipfs bitswap wantlist`,
+// `ipfs stats bitswap` and `ipfs swarm peers` through the RPC API, and the
+// routing queries the mock routers have received so far (the harness's own
+// count, not the daemon's). One sample at a time,
+// intervalMs apart, from start() until stop().
+class DaemonSampler {
+  constructor({ apiUrl, cid, routers = [], intervalMs = DEFAULT_SAMPLE_INTERVAL_MS }) {
+    this.apiUrl = apiUrl;
+    this.cid = cid;
+    this.routers = routers;
+    this.intervalMs = intervalMs;
+    this.samples = [];
+    this.startedAt = null;
+    this.stopped = false;
+    this.current = Promise.resolve();
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    (async () => {
+      await sleep(this.intervalMs);
+      while (!this.stopped) {
+        this.current = this.sample().then(sample => this.samples.push(sample));
+        await this.current;
+        await sleep(this.intervalMs);
+      }
+    })();
+  }
+
+  // Resolves once a sample in progress has finished
+  async stop() {
+    this.stopped = true;
+    await this.current;
+    return this.samples;
+  }
+
+  async sample() {
+    const at = Date.now();
+    const [wantlist, stats, swarm] = await Promise.allSettled([
+      rpcRequest(this.apiUrl, 'bitswap/wantlist'),
+      rpcRequest(this.apiUrl, 'stats/bitswap'),
+      rpcRequest(this.apiUrl, 'swarm/peers')
+    ]);
+    const routingRequests = this.routers
+      .flatMap(router => router.requests)
+      .filter(({ kind, at: requestAt }) => kind !== 'other' && requestAt >= this.startedAt && requestAt <= at);
+
+    const errors = {};
+    for (const [command, outcome] of [['bitswap wantlist', wantlist], ['stats bitswap', stats], ['swarm peers', swarm]]) {
+      if (outcome.status === 'rejected') {
+        errors[command] = outcome.reason.message;
+      }
+    }
+
+    const wanted = wantlist.status === 'fulfilled' ? cidsOf(wantlist.value.Keys) : null;
+    return {
+      offsetMs: at - this.startedAt,
+      wantlist: wanted,
+      // The wantlist has CIDv1s where the fetch may have been given a CIDv0
+      cidWanted: wanted === null ? null : includesCid(wanted, this.cid),
+      bitswapPartners: stats.status === 'fulfilled' ? (stats.value.Peers ?? []).length : null,
+      blocksReceived: stats.status === 'fulfilled' ? stats.value.BlocksReceived ?? 0 : null,
+      swarmPeers: swarm.status === 'fulfilled' ? (swarm.value.Peers ?? []).length : null,
+      routingQueries: routingRequests.length,
+      openRoutingQueries: routingRequests.filter(({ closedAt }) => closedAt === null || closedAt > at).length,
+      errors
+    };
+  }
+}
+
+// The state the fetch ended in, from the last sample that got an answer:
+// stuck-in-wantlist is the CID wanted with no peer connected to ask for it,
+// wanted when the swarm peers could not be sampled
+function summarizeSamples(samples, cid) {
+  const answered = samples.filter(({ cidWanted }) => cidWanted !== null);
+  const last = answered[answered.length - 1] ?? null;
+  const maxOf = (field) => {
+    const values = samples.map(sample => sample[field]).filter(value => value !== null);
+    return values.length > 0 ? Math.max(...values) : null;
+  };
+
+  let state = 'no-samples';
+  if (samples.length > 0 && last === null) {
+    state = 'api-unresponsive';
+  } else if (last?.cidWanted && last.swarmPeers === 0) {
+    state = 'stuck-in-wantlist';
+  } else if (last?.cidWanted && last.swarmPeers > 0) {
+    state = 'wanted-with-peers';
+  } else if (last?.cidWanted) {
+    state = 'wanted';
+  } else if (last) {
+    state = 'not-wanted';
+  }
+
+  return {
+    cid,
+    state,
+    samples: samples.length,
+    samplesWithCidWanted: samples.filter(({ cidWanted }) => cidWanted).length,
+    failedSamples: samples.filter(({ errors }) => Object.keys(errors).length > 0).length,
+    maxWantlistSize: answered.length > 0 ? Math.max(...answered.map(({ wantlist }) => wantlist.length)) : null,
+    maxSwarmPeers: maxOf('swarmPeers'),
+    maxBitswapPartners: maxOf('bitswapPartners'),
+    routingQueries: samples.length > 0 ? samples[samples.length - 1].routingQueries : 0,
+    history: samples
+  };
+}
+
+function printDaemonState(summary, { intervalMs }) {
+  console.log('\n=== DAEMON STATE DURING FETCH ===');
+  if (summary.samples === 0) {
+    console.log(`No samples: the fetch ended within the ${intervalMs}ms sample interval`);
+    return;
+  }
+
+  console.table(summary.history.map(sample => ({
+    offsetMs: sample.offsetMs,
+    cidWanted: sample.cidWanted ?? '-',
+    wantlist: sample.wantlist?.length ?? '-',
+    bitswapPartners: sample.bitswapPartners ?? '-',
+    swarmPeers: sample.swarmPeers ?? '-',
+    blocksReceived: sample.blocksReceived ?? '-',
+    routingQueries: sample.routingQueries,
+    openRoutingQueries: sample.openRoutingQueries
+  })));
+
+  const wantedFor = `${summary.samplesWithCidWanted} of ${summary.samples} sample(s)`;
+  switch (summary.state) {
+    case 'stuck-in-wantlist':
+      console.log(`❌ ${summary.cid} sat in the bitswap wantlist (${wantedFor}) with no providers: 0 swarm peers, ${summary.maxBitswapPartners ?? '-'} bitswap partners, after ${summary.routingQueries} routing quer${summary.routingQueries === 1 ? 'y' : 'ies'}`);
+      break;
+    case 'wanted-with-peers':
+      console.log(`⚠️  ${summary.cid} was still wanted (${wantedFor}) while connected to ${summary.maxSwarmPeers} peer(s): none of them delivered the block`);
+      break;
+    case 'wanted':
+      console.log(`⚠️  ${summary.cid} was still wanted (${wantedFor}); whether any peer could provide it is unknown`);
+      break;
+    case 'not-wanted':
+      console.log(`${summary.cid} was not in the wantlist at the last sample (${wantedFor}): the command was not waiting on bitswap`);
+      break;
+    case 'api-unresponsive':
+      console.log('⚠️  The daemon API answered none of the sample requests');
+      break;
+  }
+  const failed = summary.history.find(({ errors }) => Object.keys(errors).length > 0);
+  if (failed) {
+    const [command, message] = Object.entries(failed.errors)[0];
+    console.log(`⚠️  ${summary.failedSamples} sample(s) were incomplete, first at +${failed.offsetMs}ms: ${command}: ${message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_SAMPLE_INTERVAL_MS,
+  DaemonSampler,
+  summarizeSamples,
+  printDaemonState
+};
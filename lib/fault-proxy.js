@@ -0,0 +1,228 @@
+const net = require('net');
+
+// Network faults a FaultProxy puts between kubo and a router. Each handler gets
+// the client socket, a function that opens the connection to the router and the
+// fault options. The TCP handshake with the proxy always completes (the kernel
+// does it), so blackhole and delayed-accept stand for a connection that is
+// open but silent, which is what a client sees behind a stalled middlebox. A
+// connect timeout (a SYN nobody answers) cannot be made this way.
+// A TLS record starts with its content type (22 for handshake messages), the
+// protocol version and the length of what follows
+const TLS_RECORD_HEADER_BYTES = 5;
+const TLS_HANDSHAKE_RECORD = 0x16;
+
+// Faults that only mean something in front of an HTTPS router
+const TLS_FAULTS = ['tls-stall'];
+
+const FAULTS = {
+  'pass-through': (client, connect) => {
+    pipe(client, connect());
+  },
+  // Reads and discards everything, never answers and never closes
+  'blackhole': (client) => {
+    client.on('data', () => {});
+  },
+  // Leaves the connection unread for delayMs, then passes it through
+  'delayed-accept': (client, connect, { delayMs = 10000 } = {}) => {
+    const timer = setTimeout(() => pipe(client, connect()), delayMs);
+    client.on('close', () => clearTimeout(timer));
+  },
+  // Passes the request through, but hands the response back a few bytes at a time
+  'drip-feed': (client, connect, { bytes = 1, intervalMs = 200 } = {}) => {
+    const upstream = connect();
+    let pending = Buffer.alloc(0);
+    let upstreamEnded = false;
+
+    client.pipe(upstream);
+    upstream.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+    });
+    upstream.on('end', () => {
+      upstreamEnded = true;
+    });
+
+    const timer = setInterval(() => {
+      if (pending.length > 0) {
+        client.write(pending.subarray(0, bytes));
+        pending = pending.subarray(bytes);
+      } else if (upstreamEnded) {
+        clearInterval(timer);
+        client.end();
+      }
+    }, intervalMs);
+    closeTogether(client, upstream, () => clearInterval(timer));
+  },
+  // Passes the ClientHello through and the router's first TLS record (its
+  // ServerHello) back, then nothing more: the handshake stalls halfway. Needs
+  // an HTTPS router; anything but a TLS handshake record is not passed back.
+  'tls-stall': (client, connect) => {
+    const upstream = connect();
+    let received = Buffer.alloc(0);
+    let stalled = false;
+
+    client.pipe(upstream);
+    upstream.on('data', (chunk) => {
+      if (stalled) {
+        return;
+      }
+      received = Buffer.concat([received, chunk]);
+      if (received.length < TLS_RECORD_HEADER_BYTES) {
+        return;
+      }
+      if (received[0] !== TLS_HANDSHAKE_RECORD) {
+        stalled = true;
+        return;
+      }
+      const recordBytes = TLS_RECORD_HEADER_BYTES + received.readUInt16BE(3);
+      if (received.length >= recordBytes) {
+        stalled = true;
+        client.write(received.subarray(0, recordBytes));
+      }
+    });
+    closeTogether(client, upstream);
+  },
+  // Passes the request through, then resets the connection once afterBytes of
+  // the response have been sent
+  'reset': (client, connect, { afterBytes = 16 } = {}) => {
+    const upstream = connect();
+    let sent = 0;
+
+    client.pipe(upstream);
+    upstream.on('data', (chunk) => {
+      if (sent >= afterBytes) {
+        return;
+      }
+      const remaining = afterBytes - sent;
+      sent += Math.min(chunk.length, remaining);
+      client.write(chunk.subarray(0, remaining), () => {
+        if (sent >= afterBytes) {
+          resetSocket(client);
+          upstream.destroy();
+        }
+      });
+    });
+    // A router that closes right after answering must not turn the reset into
+    // a clean close
+    upstream.on('end', () => {
+      if (sent < afterBytes) {
+        client.end();
+      }
+    });
+    closeTogether(client, upstream);
+  }
+};
+
+function pipe(client, upstream) {
+  client.pipe(upstream);
+  upstream.pipe(client);
+  closeTogether(client, upstream);
+}
+
+// The client going away, or either side failing (e.g. an offline router),
+// closes both. A router ending its response normally is left to the fault.
+function closeTogether(client, upstream, onClose = () => {}) {
+  const close = () => {
+    onClose();
+    client.destroy();
+    upstream.destroy();
+  };
+  client.on('error', close);
+  upstream.on('error', close);
+  client.on('close', close);
+}
+
+function resetSocket(socket) {
+  if (typeof socket.resetAndDestroy === 'function') {
+    socket.resetAndDestroy();
+  } else {
+    socket.destroy();
+  }
+}
+
+function validateFault(fault) {
+  const name = typeof fault === 'string' ? fault : fault?.name;
+  if (!FAULTS[name]) {
+    throw new Error(`Unknown network fault '${name}', expected one of: ${Object.keys(FAULTS).join(', ')}`);
+  }
+}
+
+function describeFault(fault) {
+  return typeof fault === 'string' ? fault : fault.name;
+}
+
+// TCP proxy that listens on port and forwards to targetPort, applying a
+// network fault (a FAULTS name or { name, ...options }) to every connection
+class FaultProxy {
+  constructor({ port, targetPort, host = '127.0.0.1', fault = 'pass-through', name } = {}) {
+    validateFault(fault);
+    this.port = port;
+    this.targetPort = targetPort;
+    this.host = host;
+    this.fault = fault;
+    this.name = name || `Fault proxy on port ${port}`;
+    this.connections = [];
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  handleConnection(client) {
+    const { name, ...options } = typeof this.fault === 'string' ? { name: this.fault } : this.fault;
+    const entry = { at: Date.now(), closedAt: null };
+    this.connections.push(entry);
+    client.on('close', () => {
+      entry.closedAt = Date.now();
+    });
+    // Faults that never pipe the client (blackhole, delayed-accept before its
+    // delay) would otherwise let a reset from kubo throw
+    client.on('error', () => client.destroy());
+    console.log(`${this.name} accepted a connection, applying '${name}'`);
+
+    const connect = () => {
+      const upstream = net.connect(this.targetPort, this.host);
+      this.sockets.add(upstream);
+      upstream.on('close', () => this.sockets.delete(upstream));
+      return upstream;
+    };
+    FAULTS[name](client, connect, options);
+  }
+
+  async start() {
+    this.server = net.createServer(client => this.handleConnection(client));
+
+    // Tracked so stop() can tear down connections the faults leave open
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    console.log(`${this.name} started (network fault: ${describeFault(this.fault)}, forwarding to port ${this.targetPort})`);
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    console.log(`Shutting down ${this.name}...`);
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
+
+module.exports = {
+  FAULTS,
+  TLS_FAULTS,
+  FaultProxy,
+  describeFault
+};
@@ -0,0 +1,464 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const { performance } = require('perf_hooks');
+const path = require('path');
+const { runCommand, parseDuration } = require('./utils');
+const { verifyRoutingConfig } = require('./routing-config');
+const { DEFAULT_STARTUP_TIMEOUT_MS, DaemonProcess } = require('./daemon-process');
+const { trackChild, killProcessGroup } = require('./teardown');
+const { msSince } = require('./timings');
+
+const DEFAULT_KUBO_PATH = path.join(__dirname, '..', 'node_modules', 'kubo', 'kubo', 'ipfs');
+const DEFAULT_REPO_PATH = path.join(os.tmpdir(), 'kubo-router-repro');
+const DEFAULT_PORTS = { swarm: 54321, api: 54322, gateway: 54323 };
+const DEFAULT_FETCH_TIMEOUT_MS = 60000;
+
+// A single kubo repo plus the daemon running on it (a DaemonProcess). Scenarios
+// drive it through init() -> configureRouting() -> startDaemon() -> fetch() ->
+// stop().
+class KuboFixture {
+  constructor(options = {}) {
+    this.kuboPath = options.kuboPath || DEFAULT_KUBO_PATH;
+    this.repoPath = options.repoPath || DEFAULT_REPO_PATH;
+    this.ports = { ...DEFAULT_PORTS, ...options.ports };
+    this.extraEnv = options.env || {}; // e.g. SSL_CERT_FILE for HTTPS routers
+    // Start the daemon with JSON debug logs for the routing and bitswap
+    // subsystems (see lib/daemon-log.js), collected in daemonLog
+    this.captureLogs = options.captureLogs || false;
+    this.startupTimeoutMs = options.startupTimeoutMs || DEFAULT_STARTUP_TIMEOUT_MS;
+    this.daemon = null;
+  }
+
+  get daemonOutput() {
+    return this.daemon?.output ?? '';
+  }
+
+  get daemonLog() {
+    return this.daemon?.log ?? [];
+  }
+
+  get env() {
+    return { ...process.env, ...this.extraEnv, IPFS_PATH: this.repoPath };
+  }
+
+  get apiUrl() {
+    return `http://127.0.0.1:${this.ports.api}`;
+  }
+
+  get gatewayUrl() {
+    return `http://127.0.0.1:${this.ports.gateway}`;
+  }
+
+  get configPath() {
+    return path.join(this.repoPath, 'config');
+  }
+
+  // Port list in the shape checkRequiredPorts expects
+  get requiredPorts() {
+    return [
+      { port: this.ports.swarm, description: 'Kubo Swarm' },
+      { port: this.ports.api, description: 'Kubo API' },
+      { port: this.ports.gateway, description: 'Kubo Gateway' }
+    ];
+  }
+
+  async run(args, { input } = {}) {
+    return runCommand(this.kuboPath, args, { env: this.env, input });
+  }
+
+  async verifyVersion(expectedVersion = '0.37.0') {
+    console.log(`Verifying kubo version is ${expectedVersion}...`);
+
+    const result = await this.run(['version']);
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to get kubo version: ${result.stderr}`);
+    }
+
+    const versionMatch = result.stdout.match(/ipfs version (\d+\.\d+\.\d+)/);
+    if (!versionMatch) {
+      throw new Error(`Could not parse version from: ${result.stdout}`);
+    }
+
+    const actualVersion = versionMatch[1];
+    if (actualVersion !== expectedVersion) {
+      throw new Error(`Version mismatch: expected ${expectedVersion}, got ${actualVersion}`);
+    }
+
+    console.log(`✅ Kubo version verified: ${actualVersion}`);
+  }
+
+  async init() {
+    console.log('Initializing IPFS repository...');
+
+    if (fs.existsSync(this.repoPath)) {
+      fs.rmSync(this.repoPath, { recursive: true, force: true });
+    }
+
+    const result = await this.run(['init']);
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to initialize IPFS repo: ${result.stderr}`);
+    }
+
+    console.log('IPFS repo initialized successfully');
+
+    const { swarm, api, gateway } = this.ports;
+    const config = this.readConfig();
+
+    config.Addresses.Swarm = [
+      `/ip4/0.0.0.0/tcp/${swarm}`,
+      `/ip6/::/tcp/${swarm}`,
+      `/ip4/0.0.0.0/udp/${swarm}/webrtc-direct`,
+      `/ip4/0.0.0.0/udp/${swarm}/quic-v1`,
+      `/ip4/0.0.0.0/udp/${swarm}/quic-v1/webtransport`,
+      `/ip6/::/udp/${swarm}/webrtc-direct`,
+      `/ip6/::/udp/${swarm}/quic-v1`,
+      `/ip6/::/udp/${swarm}/quic-v1/webtransport`
+    ];
+    config.Addresses.API = `/ip4/127.0.0.1/tcp/${api}`;
+    config.Addresses.Gateway = `/ip4/127.0.0.1/tcp/${gateway}`;
+
+    config.Discovery.MDNS.Enabled = false;
+
+    this.writeConfig(config);
+  }
+
+  readConfig() {
+    return JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+  }
+
+  writeConfig(config) {
+    fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
+  }
+
+  async configureRouting(routing) {
+    const config = this.readConfig();
+    config.Routing = routing;
+    this.writeConfig(config);
+    console.log('IPFS config updated with custom routing');
+  }
+
+  // Reads the config back through kubo itself so we know the daemon sees what we wrote
+  async verifyRouting(expected) {
+    const result = await this.run(['config', 'show']);
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to get kubo config: ${result.stderr}`);
+    }
+
+    verifyRoutingConfig(JSON.parse(result.stdout), expected);
+  }
+
+  // Adds content through the running daemon and returns its CID
+  // onlyHash computes the CID without storing (or announcing) anything
+  async addContent(content, { onlyHash = false } = {}) {
+    const result = await this.run(['add', '-Q', ...(onlyHash ? ['--only-hash'] : [])], { input: content });
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to add content: ${result.stderr}`);
+    }
+
+    return result.stdout.trim();
+  }
+
+  // PeerID and listen addresses as reported by `ipfs id`
+  async identify() {
+    const result = await this.run(['id']);
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to get node identity: ${result.stderr}`);
+    }
+
+    const { ID, Addresses } = JSON.parse(result.stdout);
+    return { id: ID, addresses: Addresses ?? [] };
+  }
+
+  // Resolves once the daemon is ready; throws a DaemonError when it fails to
+  // start, exits or misses the startup deadline
+  async startDaemon() {
+    this.daemon = new DaemonProcess({
+      kuboPath: this.kuboPath,
+      env: this.env,
+      apiUrl: this.apiUrl,
+      captureLogs: this.captureLogs,
+      startupTimeoutMs: this.startupTimeoutMs
+    });
+    await this.daemon.start();
+  }
+
+  // Throws a DaemonError if the daemon crashed after it was ready
+  checkDaemon() {
+    this.daemon?.checkAlive();
+  }
+
+  // Runs `ipfs cat <cid>` (or the given args) against the daemon and kills it
+  // once timeoutMs passes
+  async fetch(cid, { timeoutMs = DEFAULT_FETCH_TIMEOUT_MS, args = ['cat', cid] } = {}) {
+    const startedHr = performance.now();
+    const child = trackChild(spawn(this.kuboPath, args, {
+      env: this.env,
+      stdio: 'pipe',
+      detached: true
+    }));
+
+    const result = {
+      cid,
+      command: ['ipfs', ...args].join(' '),
+      exited: false,
+      exitCode: null,
+      stdout: '',
+      stderr: '',
+      timedOut: false,
+      startedAt: Date.now(),
+      endedAt: null,
+      elapsedMs: 0,
+      // High-resolution phases in ms since startedHr (a performance.now() reading)
+      startedHr,
+      timings: { spawnMs: null, firstStdoutMs: null, firstStderrMs: null, exitMs: null }
+    };
+    let spawnError = null;
+
+    child.on('spawn', () => {
+      result.timings.spawnMs = msSince(startedHr);
+    });
+
+    child.stdout.on('data', (data) => {
+      result.timings.firstStdoutMs ??= msSince(startedHr);
+      result.stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      result.timings.firstStderrMs ??= msSince(startedHr);
+      result.stderr += data.toString();
+    });
+
+    const startTime = result.startedAt;
+    console.log(`Waiting for CID fetch to complete (${timeoutMs / 1000} second timeout)...`);
+
+    const progress = setInterval(() => {
+      console.log(`Still waiting... ${Math.floor((Date.now() - startTime) / 1000)}s elapsed`);
+    }, 10000);
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        result.timedOut = true;
+        result.timings.exitMs = msSince(startedHr);
+        console.log(`CID FETCH OPERATION TIMED OUT after ${timeoutMs / 1000} seconds`);
+        killProcessGroup(child, 'SIGKILL');
+        resolve();
+      }, timeoutMs);
+
+      child.on('exit', (code) => {
+        if (result.timedOut) {
+          return;
+        }
+        result.exited = true;
+        result.exitCode = code;
+        result.timings.exitMs = msSince(startedHr);
+        clearTimeout(timer);
+        resolve();
+      });
+
+      // No exit follows a failed spawn (missing binary, EAGAIN)
+      child.on('error', (error) => {
+        spawnError = error;
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+
+    clearInterval(progress);
+    if (spawnError) {
+      // Thrown so the run becomes a harness-error instead of a client outcome
+      throw new Error(`Could not start ${result.command}: ${spawnError.message}`);
+    }
+    result.endedAt = Date.now();
+    result.elapsedMs = result.endedAt - startTime;
+    return result;
+  }
+
+  // GETs requestPath from the daemon's gateway and aborts once timeoutMs passes
+  async fetchGateway(cid, { timeoutMs = DEFAULT_FETCH_TIMEOUT_MS, path: requestPath = `/ipfs/${cid}` } = {}) {
+    console.log(`Waiting for gateway response (${timeoutMs / 1000} second timeout)...`);
+    return requestWithTimeout(cid, `${this.gatewayUrl}${requestPath}`, { timeoutMs });
+  }
+
+  // POSTs an RPC command (e.g. 'routing/findprovs') to the daemon's API with args
+  // as repeated arg parameters. apiTimeout is kubo's own per-request timeout
+  // argument; timeoutMs is when the client aborts.
+  async fetchRpc(cid, { timeoutMs = DEFAULT_FETCH_TIMEOUT_MS, command, args = [cid], apiTimeout = null } = {}) {
+    const params = new URLSearchParams(args.map(arg => ['arg', arg]));
+    if (apiTimeout !== null) {
+      params.set('timeout', apiTimeout);
+    }
+    console.log(`Waiting for RPC response (${timeoutMs / 1000} second client timeout, API timeout ${apiTimeout ?? 'none'})...`);
+    const result = await requestWithTimeout(cid, `${this.apiUrl}/api/v0/${command}?${params}`, { method: 'POST', timeoutMs });
+    result.rpc = {
+      command,
+      apiTimeoutMs: apiTimeout === null ? null : parseDuration(apiTimeout)
+    };
+    return result;
+  }
+
+  async stop() {
+    await this.daemon?.stop();
+  }
+}
+
+// Sends one HTTP request and aborts it once timeoutMs passes. The result has the
+// shape KuboFixture.fetch() returns plus http (status, headers, trailers,
+// ttfbMs, bodyBytes). A completed non-2xx response, or a 2xx one whose
+// X-Stream-Error trailer reports a failure (how the RPC API ends a stream that
+// broke), counts as a command that failed with exit code 1.
+async function requestWithTimeout(cid, url, { method = 'GET', timeoutMs }) {
+  const startedHr = performance.now();
+  const result = {
+    cid,
+    command: `${method} ${url}`,
+    exited: false,
+    exitCode: null,
+    stdout: '',
+    stderr: '',
+    timedOut: false,
+    startedAt: Date.now(),
+    endedAt: null,
+    elapsedMs: 0,
+    // No process to spawn; the first stdout byte is the response headers arriving
+    startedHr,
+    timings: { spawnMs: null, firstStdoutMs: null, firstStderrMs: null, exitMs: null },
+    http: {
+      status: null,
+      headers: null,
+      trailers: null,
+      ttfbMs: null,
+      bodyBytes: 0
+    }
+  };
+
+  const startTime = result.startedAt;
+  const progress = setInterval(() => {
+    const stage = result.http.status === null ? 'no response yet' : `HTTP ${result.http.status}, ${result.http.bodyBytes} bytes so far`;
+    console.log(`Still waiting... ${Math.floor((Date.now() - startTime) / 1000)}s elapsed (${stage})`);
+  }, 10000);
+
+  await new Promise((resolve) => {
+    let request = null;
+    const finish = () => {
+      result.timings.exitMs = msSince(startedHr);
+      clearTimeout(timer);
+      resolve();
+    };
+
+    const timer = setTimeout(() => {
+      result.timedOut = true;
+      result.timings.exitMs = msSince(startedHr);
+      console.log(`HTTP REQUEST TIMED OUT after ${timeoutMs / 1000} seconds, aborting`);
+      request.destroy();
+      resolve();
+    }, timeoutMs);
+
+    request = http.request(url, { method, agent: false }, (res) => {
+      result.http.status = res.statusCode;
+      result.http.headers = res.headers;
+      result.http.ttfbMs = Date.now() - startTime;
+      result.timings.firstStdoutMs = msSince(startedHr);
+
+      const chunks = [];
+      res.on('data', (chunk) => {
+        chunks.push(chunk);
+        result.http.bodyBytes += chunk.length;
+      });
+      res.on('end', () => {
+        const body = Buffer.concat(chunks).toString();
+        const streamError = res.trailers['x-stream-error'];
+        result.http.trailers = res.trailers;
+        result.exited = true;
+        if (res.statusCode >= 200 && res.statusCode < 300 && !streamError) {
+          result.exitCode = 0;
+          result.stdout = body;
+        } else {
+          result.exitCode = 1;
+          result.stdout = streamError ? body : '';
+          result.stderr = streamError
+            ? `X-Stream-Error: ${streamError}`
+            : `HTTP ${res.statusCode} ${res.statusMessage}\n${body}`;
+        }
+        finish();
+      });
+      // A connection dropped mid-body surfaces as an error and then 'close'
+      res.on('error', () => {});
+      res.on('close', () => {
+        if (!res.complete && !result.timedOut && !result.exited) {
+          result.exited = true;
+          result.exitCode = 1;
+          result.stderr = `HTTP ${res.statusCode} response aborted after ${result.http.bodyBytes} bytes`;
+          finish();
+        }
+      });
+    });
+
+    request.on('error', (error) => {
+      if (result.timedOut || result.exited) {
+        return;
+      }
+      result.exited = true;
+      result.exitCode = 1;
+      result.stderr = `HTTP request failed: ${error.message}`;
+      finish();
+    });
+    request.end();
+  });
+
+  clearInterval(progress);
+  result.endedAt = Date.now();
+  result.elapsedMs = result.endedAt - startTime;
+  return result;
+}
+
+// Shared dump of a fetch result, kept in the format the original scripts printed
+function printFetchResult(result) {
+  console.log('\n=== CID FETCH RESULTS ===');
+  console.log('Exit code:', result.exitCode);
+  console.log('Process exited:', result.exited);
+  console.log('Elapsed:', `${result.elapsedMs}ms`);
+  console.log('Stdout length:', result.stdout.length);
+  console.log('Stdout content:', JSON.stringify(result.stdout));
+  console.log('Stderr length:', result.stderr.length);
+  console.log('Stderr content:', JSON.stringify(result.stderr));
+  console.log('Timeout reached:', result.timedOut);
+
+  if (result.http) {
+    console.log('HTTP status:', result.http.status ?? 'no response');
+    console.log('Time to first byte:', result.http.ttfbMs === null ? 'never' : `${result.http.ttfbMs}ms`);
+    console.log('Body bytes:', result.http.bodyBytes);
+    console.log('Response headers:', JSON.stringify(result.http.headers));
+    console.log('Response trailers:', JSON.stringify(result.http.trailers));
+  }
+}
+
+// Buckets a fetch result into the outcomes the scenario analyses branch on
+function classifyFetchResult(result) {
+  if (!result.exited) {
+    return 'hung';
+  }
+  if (result.exitCode === 0) {
+    // e.g. `ipfs routing findprovs` finishing without finding any provider
+    return result.stdout.trim().length > 0 ? 'succeeded' : 'empty-result';
+  }
+  if (result.stderr.length > 0) {
+    return 'failed-with-error';
+  }
+  return 'failed-silently';
+}
+
+module.exports = {
+  DEFAULT_KUBO_PATH,
+  DEFAULT_PORTS,
+  DEFAULT_FETCH_TIMEOUT_MS,
+  KuboFixture,
+  printFetchResult,
+  classifyFetchResult
+};
@@ -0,0 +1,54 @@
+// Matrix axes and their default values. Every combination becomes one cell, and
+// every scenario runs once per cell.
+const DEFAULT_AXES = {
+  ignoreErrors: [true, false],
+  routerTimeout: ['1s', '5s'],
+  routerCount: [1, 2],
+  routerType: ['parallel', 'sequential']
+};
+
+const AXIS_LABELS = {
+  ignoreErrors: 'ignoreErrors',
+  routerTimeout: 'timeout',
+  routerCount: 'routers',
+  routerType: 'type'
+};
+
+// axes: partial DEFAULT_AXES; missing axes use the defaults. Returns the cells in
+// the [{ label, options }] shape runScenarios takes.
+function expandMatrix(axes = {}) {
+  const resolved = { ...DEFAULT_AXES, ...axes };
+  let cells = [{}];
+
+  for (const [axis, values] of Object.entries(resolved)) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`Matrix axis '${axis}' needs at least one value`);
+    }
+    cells = cells.flatMap(cell => values.map(value => ({ ...cell, [axis]: value })));
+  }
+
+  return cells.map(options => ({
+    label: Object.entries(options).map(([axis, value]) => `${AXIS_LABELS[axis]}=${value}`).join(','),
+    options
+  }));
+}
+
+function printMatrixSummary(results) {
+  console.log('\n=== MATRIX SUMMARY ===');
+  console.table(results.map(({ scenario, parameters, verdict, outcome, timeToFailureMs }) => ({
+    scenario: scenario.replace(/\[.*\]$/, ''),
+    ignoreErrors: parameters?.ignoreErrors,
+    timeout: parameters?.routerTimeout,
+    routers: parameters?.routerCount,
+    type: parameters?.routerType,
+    verdict,
+    outcome,
+    timeToFailureMs: timeToFailureMs ?? (outcome === 'hung' ? 'hung' : '-')
+  })));
+}
+
+module.exports = {
+  DEFAULT_AXES,
+  expandMatrix,
+  printMatrixSummary
+};
@@ -0,0 +1,444 @@
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+const { createProviderRecords, providerRecord } = require('./provider-records');
+
+// Routing V1 requests the mock answers with its behavior. recordsKey is the
+// JSON field records go in; IPNS records are not JSON, so a behavior that has no
+// record to give answers an IPNS lookup with 404. Writes (PUT) are accepted by
+// any behavior that would otherwise answer with records.
+const REQUEST_KINDS = {
+  'providers': { method: 'GET', path: /^\/routing\/v1\/providers\/[^\/]+/, recordsKey: 'Providers', notFound: 'no providers found' },
+  'peers': { method: 'GET', path: /^\/routing\/v1\/peers\/[^\/]+/, recordsKey: 'Peers', notFound: 'no peers found' },
+  'ipns': { method: 'GET', path: /^\/routing\/v1\/ipns\/[^\/]+/, recordsKey: null, notFound: 'no IPNS record found' },
+  'ipns-put': { method: 'PUT', path: /^\/routing\/v1\/ipns\/[^\/]+/, recordsKey: null, notFound: 'IPNS record not accepted' },
+  'provide': { method: 'PUT', path: /^\/routing\/v1\/providers\/?$/, recordsKey: null, notFound: 'provider records not accepted' }
+};
+
+// Routing request behaviors. Each handler gets the request, response, the
+// behavior options and the request kind (see REQUEST_KINDS), and is responsible
+// for ending (or deliberately not ending) the response.
+const BEHAVIORS = {
+  // Spec: 404 indicates "no matching records are found", and may be cached
+  'not-found': (req, res, { maxAge = 300 } = {}, kind) => {
+    sendJson(res, 404, { Message: kind.notFound }, { 'Cache-Control': `public, max-age=${maxAge}` });
+  },
+  'not-found-uncached': (req, res, options, kind) => {
+    sendJson(res, 404, { Message: kind.notFound }, { 'Cache-Control': 'no-store' });
+  },
+  'empty': (req, res, options, kind) => {
+    sendRecords(req, res, kind, []);
+  },
+  'http-500': (req, res) => {
+    sendJson(res, 500, { Message: 'internal server error' });
+  },
+  'http-502': (req, res) => {
+    sendJson(res, 502, { Message: 'bad gateway' });
+  },
+  'http-503': (req, res) => {
+    sendJson(res, 503, { Message: 'service unavailable' });
+  },
+  // Answers like `empty`, but only after delayMs, which should be past the router Timeout
+  'slow': (req, res, { delayMs = 10000 } = {}, kind) => {
+    const timer = setTimeout(() => sendRecords(req, res, kind, []), delayMs);
+    res.on('close', () => clearTimeout(timer));
+  },
+  // Accepts the request and never answers
+  'hang': () => {},
+  // Asks the client to back off for retryAfter seconds, like public routers do
+  'rate-limited': (req, res, { retryAfter = 5 } = {}) => {
+    sendJson(res, 429, { Message: 'too many requests' }, { 'Retry-After': String(retryAfter) });
+  },
+  'rate-limited-no-retry-after': (req, res) => {
+    sendJson(res, 429, { Message: 'too many requests' });
+  },
+  // Redirects (status 301, 302, 307 or 308) to the same path hops times, then
+  // answers with then (any behavior, resolved for the request's index)
+  'redirect': (req, res, { status = 307, hops = 1, then = 'not-found' } = {}, kind) => {
+    const url = new URL(req.url, 'http://router');
+    const hop = Number(url.searchParams.get('redirect-hop') ?? 0);
+    if (hop < hops) {
+      url.searchParams.set('redirect-hop', hop + 1);
+      sendRedirect(res, status, `${url.pathname}${url.search}`);
+      return;
+    }
+    const { name, ...options } = resolveBehavior(then, req, req.requestIndex);
+    BEHAVIORS[name](req, res, options, kind);
+  },
+  // Redirects back and forth between two URLs for the same path, so following
+  // it never ends (and a retry of the original URL is told apart from a hop)
+  'redirect-loop': (req, res, { status = 307 } = {}) => {
+    const url = new URL(req.url, 'http://router');
+    url.searchParams.set('redirect-loop', url.searchParams.get('redirect-loop') === 'a' ? 'b' : 'a');
+    sendRedirect(res, status, `${url.pathname}${url.search}`);
+  },
+  // Starts a 200 response and then resets the TCP connection
+  'reset': (req, res, options, kind) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write(`{"${kind.recordsKey ?? 'Value'}": [`);
+    setImmediate(() => {
+      const socket = res.socket;
+      if (socket && typeof socket.resetAndDestroy === 'function') {
+        socket.resetAndDestroy();
+      } else if (socket) {
+        socket.destroy();
+      }
+    });
+  },
+  'malformed-json': (req, res, options, kind) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(`{"${kind.recordsKey ?? 'Value'}": [{"Schema": "peer", "ID": `);
+  },
+  'wrong-content-type': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><body>no providers here</body></html>');
+  },
+  // Well-formed provider records whose addresses can never be dialed. The same
+  // options always return the same peers, like a real router would on a retry.
+  'unreachable-providers': (req, res, options = {}, kind) => {
+    sendRecords(req, res, kind, unreachableProviders(options));
+  },
+  // Records for the given providers ([{ id, addrs }]), e.g. a local kubo node that has the content
+  'providers': (req, res, { providers = [] } = {}, kind) => {
+    sendRecords(req, res, kind, providers.map(providerRecord));
+  },
+  // The stream-* behaviors answer clients that accept application/x-ndjson
+  // with a stream of count unreachable provider records, one per line, and
+  // everyone else with the closest plain JSON answer
+  'stream-empty': (req, res, options, kind) => {
+    streamOrSend(req, res, kind, []);
+  },
+  'stream-slow': (req, res, { count = 3, addrs, intervalMs = 2000 } = {}, kind) => {
+    streamOrSend(req, res, kind, unreachableProviders({ count, addrs }), { intervalMs });
+  },
+  // Streams the records, then keeps the response open without another byte
+  'stream-never-close': (req, res, { count = 3, addrs } = {}, kind) => {
+    if (!acceptsNdjson(req, kind)) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write(`{"${kind.recordsKey ?? 'Value'}": [`);
+      return;
+    }
+    streamRecords(req, res, unreachableProviders({ count, addrs }), { keepOpen: true });
+  },
+  // A corrupt line after the first record, then the rest
+  'stream-corrupt': (req, res, { count = 3, addrs } = {}, kind) => {
+    if (!acceptsNdjson(req, kind)) {
+      BEHAVIORS['malformed-json'](req, res, {}, kind);
+      return;
+    }
+    streamRecords(req, res, unreachableProviders({ count, addrs }), { corruptAt: 1 });
+  }
+};
+
+// Behaviors that answer with made-up provider records advertising their addrs
+// option, which has no default: the runner fills in unreachableAddrs with the
+// closed port it reserved for the run
+const PROVIDER_RECORD_BEHAVIORS = ['unreachable-providers', 'stream-slow', 'stream-never-close', 'stream-corrupt'];
+
+// Routing V1 clients ask for a stream with Accept: application/x-ndjson. Only
+// record lookups stream; IPNS records and writes never do.
+function acceptsNdjson(req, kind) {
+  return kind.recordsKey !== null && (req.headers.accept ?? '').includes('application/x-ndjson');
+}
+
+// Writes one NDJSON line per record, intervalMs apart, and ends the response
+// unless keepOpen. corruptAt puts a truncated line before that record. Lines
+// are counted on the request's log entry as they go out, since a stream that
+// never ends never gets its close recorded.
+function streamRecords(req, res, records, { intervalMs = 0, keepOpen = false, corruptAt = null } = {}) {
+  const lines = records.map(record => JSON.stringify(record));
+  if (corruptAt !== null) {
+    lines.splice(corruptAt, 0, '{"Schema": "peer", "ID": ');
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+  req.entry.streamedLines = 0;
+  let timer = null;
+  const writeNext = () => {
+    if (lines.length > 0) {
+      res.write(`${lines.shift()}\n`);
+      req.entry.streamedLines++;
+      timer = setTimeout(writeNext, intervalMs);
+    } else if (!keepOpen) {
+      res.end();
+    }
+  };
+  res.on('close', () => clearTimeout(timer));
+  writeNext();
+}
+
+// Streams to clients that accept NDJSON; everyone else gets the same records
+// as one JSON body once the stream would have finished
+function streamOrSend(req, res, kind, records, { intervalMs = 0 } = {}) {
+  if (acceptsNdjson(req, kind)) {
+    streamRecords(req, res, records, { intervalMs });
+    return;
+  }
+  const timer = setTimeout(() => sendRecords(req, res, kind, records), intervalMs * records.length);
+  res.on('close', () => clearTimeout(timer));
+}
+
+function sendRecords(req, res, kind, records) {
+  if (kind === REQUEST_KINDS.provide) {
+    // Spec: one result per announced record, in request order
+    const announced = Array.isArray(req.body?.Providers) ? req.body.Providers : [];
+    sendJson(res, 200, {
+      ProvideResults: announced.map(record => ({
+        Schema: record.Schema,
+        Protocol: record.Protocol,
+        AdvisoryTTL: record.Payload?.AdvisoryTTL
+      }))
+    });
+  } else if (kind.method === 'PUT') {
+    res.writeHead(200);
+    res.end();
+  } else if (kind.recordsKey === null) {
+    sendJson(res, 404, { Message: kind.notFound });
+  } else {
+    sendJson(res, 200, { [kind.recordsKey]: records });
+  }
+}
+
+// Resolves to the parsed JSON body, the raw text when it is not JSON, or null
+// when there is none
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', () => resolve(null));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      if (text.length === 0) {
+        resolve(null);
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        resolve(text);
+      }
+    });
+  });
+}
+
+function requestKind(req) {
+  const path = req.url.split('?')[0];
+  return Object.keys(REQUEST_KINDS).find(name => REQUEST_KINDS[name].method === req.method && REQUEST_KINDS[name].path.test(path)) ?? null;
+}
+
+const providerRecordCache = new Map();
+
+function unreachableProviders({ count, addrs } = {}) {
+  const key = JSON.stringify({ count, addrs });
+  if (!providerRecordCache.has(key)) {
+    providerRecordCache.set(key, createProviderRecords({ count, addrs }));
+  }
+  return providerRecordCache.get(key);
+}
+
+function sendRedirect(res, status, location) {
+  res.writeHead(status, { 'Location': location, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ Message: `moved to ${location}` }));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// A behavior is a BEHAVIORS name, { name, ...options }, an array used in request
+// order (the last entry repeats), or a function (req, requestIndex) returning one
+// of the former. Throws when it resolves to anything else, which only a function
+// can do past validateBehavior.
+function resolveBehavior(behavior, req, requestIndex) {
+  if (typeof behavior === 'function') {
+    return resolveBehavior(behavior(req, requestIndex), req, requestIndex);
+  }
+  if (Array.isArray(behavior)) {
+    return resolveBehavior(behavior[Math.min(requestIndex, behavior.length - 1)], req, requestIndex);
+  }
+  const resolved = typeof behavior === 'string' ? { name: behavior } : behavior;
+  if (!BEHAVIORS[resolved?.name]) {
+    throw new Error(`Unknown mock router behavior '${resolved?.name}', expected one of: ${Object.keys(BEHAVIORS).join(', ')}`);
+  }
+  return resolved;
+}
+
+function validateBehavior(behavior) {
+  if (typeof behavior === 'function') {
+    return;
+  }
+  const entries = Array.isArray(behavior) ? behavior : [behavior];
+  for (const entry of entries) {
+    const name = typeof entry === 'string' ? entry : entry?.name;
+    if (!BEHAVIORS[name]) {
+      throw new Error(`Unknown mock router behavior '${name}', expected one of: ${Object.keys(BEHAVIORS).join(', ')}`);
+    }
+    if (name === 'redirect' && entry.then !== undefined) {
+      validateBehavior(entry.then);
+    }
+  }
+}
+
+// Mock HTTP Routing V1 server. Provider, peer, IPNS and provide requests are
+// answered according to the configured behavior, every other request gets a
+// plain 404.
+class MockRouter {
+  // tls ({ key, cert }, see lib/certificates.js) serves HTTPS instead of HTTP
+  constructor({ port, host = '127.0.0.1', behavior = 'not-found', name, tls = null } = {}) {
+    validateBehavior(behavior);
+    this.port = port;
+    this.host = host;
+    this.behavior = behavior;
+    this.name = name || `HTTP Router on port ${port}`;
+    this.tls = tls;
+    this.routingRequestCount = 0;
+    this.requests = [];
+    this.tlsErrors = [];
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  get endpoint() {
+    return `${this.tls ? 'https' : 'http'}://${this.host}:${this.port}`;
+  }
+
+  setBehavior(behavior) {
+    validateBehavior(behavior);
+    this.behavior = behavior;
+  }
+
+  handleRequest(req, res) {
+    console.log(`${this.name} received request: ${req.method} ${req.url}`);
+
+    const entry = {
+      router: this.name,
+      at: Date.now(),
+      hrAt: performance.now(), // For phase timings, see lib/timings.js
+      method: req.method,
+      url: req.url,
+      accept: req.headers.accept ?? null,
+      kind: 'other',
+      behavior: null,
+      body: null,
+      status: null,
+      responseHeaders: null,
+      // Set by streaming behaviors: NDJSON lines written so far
+      streamedLines: null,
+      // Why the behavior could not answer (see failRequest)
+      error: null,
+      closedAt: null
+    };
+    this.requests.push(entry);
+    res.on('close', () => {
+      entry.closedAt = Date.now();
+      entry.status = res.headersSent ? res.statusCode : null;
+      entry.responseHeaders = res.headersSent ? res.getHeaders() : null;
+    });
+
+    // Handle CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
+
+    const kind = requestKind(req);
+    if (kind) {
+      req.requestIndex = this.routingRequestCount++;
+      entry.kind = kind;
+      Promise.resolve()
+        .then(() => {
+          const { name, ...options } = resolveBehavior(this.behavior, req, req.requestIndex);
+          entry.behavior = name;
+          console.log(`${this.name} answering ${kind} request with '${name}'`);
+          // Behaviors run once the body (if any) is in: PUT bodies are recorded,
+          // and the client sees our answer rather than a stalled upload
+          return readBody(req).then((body) => {
+            entry.body = body;
+            req.body = body;
+            req.entry = entry;
+            BEHAVIORS[name](req, res, options, REQUEST_KINDS[kind]);
+          });
+        })
+        .catch(error => this.failRequest(entry, res, error));
+      return;
+    }
+
+    sendJson(res, 404, { Message: 'not found' });
+  }
+
+  // A behavior that throws is a harness bug, not a router answer: it is logged
+  // and recorded, and the client gets a 500 rather than a connection left open
+  failRequest(entry, res, error) {
+    entry.error = error.message;
+    console.log(`❌ ${this.name} behavior failed: ${error.message}`);
+    if (!res.headersSent) {
+      sendJson(res, 500, { Message: `mock router behavior failed: ${error.message}` });
+    } else {
+      res.destroy();
+    }
+  }
+
+  async start() {
+    const handler = (req, res) => this.handleRequest(req, res);
+    this.server = this.tls ? https.createServer(this.tls, handler) : http.createServer(handler);
+
+    // A client that rejects the certificate never gets as far as a request
+    this.server.on('tlsClientError', (error) => {
+      this.tlsErrors.push({ at: Date.now(), message: error.message });
+      console.log(`${this.name} TLS handshake failed: ${error.message}`);
+    });
+
+    // Tracked so stop() can tear down connections left open by hang/slow behaviors
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    console.log(`${this.name} started on ${this.endpoint} (provider behavior: ${describeBehavior(this.behavior)})`);
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    console.log(`Shutting down ${this.name}...`);
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
+
+function describeBehavior(behavior) {
+  if (typeof behavior === 'function') {
+    return 'custom';
+  }
+  if (Array.isArray(behavior)) {
+    return behavior.map(describeBehavior).join(' -> ');
+  }
+  return typeof behavior === 'string' ? behavior : behavior.name;
+}
+
+module.exports = {
+  REQUEST_KINDS,
+  BEHAVIORS,
+  PROVIDER_RECORD_BEHAVIORS,
+  MockRouter,
+  describeBehavior
+};
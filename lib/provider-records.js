@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Addresses nothing answers on: closedPort, a local port the run reserved and
+// nothing listens on (connection refused), and a TEST-NET-1 address (RFC 5737)
+// that is never routed, so dials time out instead of failing fast.
+function unreachableAddrs(closedPort) {
+  return [
+    `/ip4/127.0.0.1/tcp/${closedPort}`,
+    '/ip4/192.0.2.1/tcp/4001'
+  ];
+}
+
+function base58btc(bytes) {
+  let value = BigInt(`0x${bytes.toString('hex') || '0'}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) {
+      break;
+    }
+    encoded = '1' + encoded;
+  }
+  return encoded;
+}
+
+// A PeerID for a fresh Ed25519 key, encoded the way kubo prints it (12D3KooW...):
+// the protobuf PublicKey { Type: Ed25519, Data: key } in an identity multihash.
+function generatePeerId() {
+  const { publicKey } = crypto.generateKeyPairSync('ed25519');
+  const rawKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+  const protobuf = Buffer.concat([Buffer.from([0x08, 0x01, 0x12, rawKey.length]), rawKey]);
+  return base58btc(Buffer.concat([Buffer.from([0x00, protobuf.length]), protobuf]));
+}
+
+// A Routing V1 peer record for a bitswap provider
+function providerRecord({ id, addrs }) {
+  return {
+    Schema: 'peer',
+    ID: id,
+    Addrs: addrs,
+    Protocols: ['transport-bitswap']
+  };
+}
+
+// Routing V1 peer records for count made-up providers, all advertising addrs
+function createProviderRecords({ count = 2, addrs } = {}) {
+  if (!Array.isArray(addrs)) {
+    throw new Error('Provider records need addrs, e.g. unreachableAddrs(closedPort)');
+  }
+  return Array.from({ length: count }, () => providerRecord({ id: generatePeerId(), addrs }));
+}
+
+module.exports = {
+  unreachableAddrs,
+  generatePeerId,
+  providerRecord,
+  createProviderRecords
+};
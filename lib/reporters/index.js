@@ -0,0 +1,64 @@
+const { Console } = require('console');
+const fs = require('fs');
+const { exitCodeForResults } = require('../results');
+
+const REPORTERS = {
+  json: require('./json'),
+  junit: require('./junit'),
+  tap: require('./tap')
+};
+
+// Prints the verdict per scenario and, when a reporter is selected, writes the
+// machine-readable report to output (or stdout). Defaults come from the
+// KUBO_REPRO_REPORTER and KUBO_REPRO_REPORT_FILE environment variables so CI can
+// pick a format without touching the scripts.
+function reportResults(results, {
+  reporter = process.env.KUBO_REPRO_REPORTER,
+  output = process.env.KUBO_REPRO_REPORT_FILE
+} = {}) {
+  console.log('\n=== VERDICTS ===');
+  for (const { scenario, verdict, elapsedMs, expectedVerdict, matchesExpectation } of results) {
+    const timing = elapsedMs !== null ? ` (${elapsedMs}ms)` : '';
+    const expectation = matchesExpectation === false ? ` ⚠️  expected ${expectedVerdict}` : '';
+    console.log(`${scenario}: ${verdict}${timing}${expectation}`);
+  }
+  for (const { scenario, elapsedMs } of results.filter(({ control, verdict }) => control && verdict === 'pass')) {
+    console.log(`Routing works reference: ${scenario} finished in ${elapsedMs}ms`);
+  }
+  const exitCode = exitCodeForResults(results);
+  console.log(`Exit code: ${exitCode}`);
+
+  if (!reporter) {
+    return exitCode;
+  }
+
+  const format = REPORTERS[reporter];
+  if (!format) {
+    throw new Error(`Unknown reporter '${reporter}', expected one of: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+
+  const report = format(results);
+  if (output) {
+    fs.writeFileSync(output, report);
+    console.log(`${reporter} report written to ${output}`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  return exitCode;
+}
+
+// With a reporter writing to stdout, the progress log moves to stderr so that
+// `run --reporter json > results.json` gets nothing but the report
+function logToStderr() {
+  const log = new Console({ stdout: process.stderr, stderr: process.stderr });
+  for (const method of ['log', 'info', 'table']) {
+    console[method] = log[method].bind(log);
+  }
+}
+
+module.exports = {
+  REPORTERS,
+  reportResults,
+  logToStderr
+};
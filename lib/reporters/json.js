@@ -0,0 +1,11 @@
+const { exitCodeForResults } = require('../results');
+
+function formatJson(results) {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    exitCode: exitCodeForResults(results),
+    results
+  }, null, 2) + '\n';
+}
+
+module.exports = formatJson;
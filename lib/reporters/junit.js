@@ -0,0 +1,88 @@
+const { isFailure } = require('../results');
+
+const SUITE_NAME = 'kubo-router-repro';
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters other than tab/newline/carriage return are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms ?? 0) / 1000).toFixed(3);
+}
+
+function describe(result) {
+  const lines = [
+    `verdict: ${result.verdict}`,
+    `outcome: ${result.outcome}`,
+    `exitCode: ${result.exitCode}`,
+    `timedOut: ${result.timedOut}`,
+    `elapsedMs: ${result.elapsedMs}`
+  ];
+  if (result.expectedVerdict !== null) {
+    lines.push(`expectedVerdict: ${result.expectedVerdict}`);
+  }
+  if (result.error) {
+    lines.push(`error: ${result.error}`);
+  }
+  if (result.http) {
+    lines.push(`httpStatus: ${result.http.status}`);
+    lines.push(`ttfbMs: ${result.http.ttfbMs}`);
+  }
+  if (result.rpc) {
+    lines.push(`rpcApiTimeoutMs: ${result.rpc.apiTimeoutMs}`);
+  }
+  if (result.routerRequests) {
+    lines.push(`routerRequests: ${JSON.stringify(result.routerRequests.combined)}`);
+  }
+  if (result.daemonState) {
+    const { state, samples, samplesWithCidWanted, maxSwarmPeers } = result.daemonState;
+    lines.push(`daemonState: ${state} (CID wanted in ${samplesWithCidWanted} of ${samples} samples, max swarm peers ${maxSwarmPeers ?? '-'})`);
+  }
+  return lines.join('\n');
+}
+
+function formatTestCase(result) {
+  const open = `    <testcase classname="${SUITE_NAME}" name="${escapeXml(result.scenario)}" time="${seconds(result.elapsedMs)}">`;
+  const body = [];
+
+  if (result.verdict === 'harness-error') {
+    body.push(`      <error message="${escapeXml(result.error)}">${escapeXml(describe(result))}</error>`);
+  } else if (isFailure(result)) {
+    const expectation = result.matchesExpectation === false ? `, expected ${result.expectedVerdict}` : '';
+    body.push(`      <failure message="${escapeXml(`${result.verdict}: ${result.outcome}${expectation}`)}" type="${escapeXml(result.verdict)}">${escapeXml(describe(result))}</failure>`);
+  }
+  if (result.stdout) {
+    body.push(`      <system-out>${escapeXml(result.stdout)}</system-out>`);
+  }
+  if (result.stderr) {
+    body.push(`      <system-err>${escapeXml(result.stderr)}</system-err>`);
+  }
+
+  return [open, ...body, '    </testcase>'].join('\n');
+}
+
+function formatJunit(results) {
+  const failures = results.filter(result => isFailure(result) && result.verdict !== 'harness-error').length;
+  const errors = results.filter(({ verdict }) => verdict === 'harness-error').length;
+  const time = seconds(results.reduce((total, { elapsedMs }) => total + (elapsedMs ?? 0), 0));
+  const counts = `tests="${results.length}" failures="${failures}" errors="${errors}" time="${time}"`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${SUITE_NAME}" ${counts}>`,
+    `  <testsuite name="${SUITE_NAME}" ${counts} timestamp="${new Date().toISOString()}">`,
+    ...results.map(formatTestCase),
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = formatJunit;
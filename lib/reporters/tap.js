@@ -0,0 +1,41 @@
+const { isFailure } = require('../results');
+
+// TAP version 13 with a YAML diagnostic block per test. Values are written as
+// JSON, which YAML reads as flow scalars/collections.
+function formatDiagnostics(result) {
+  const fields = {
+    verdict: result.verdict,
+    outcome: result.outcome,
+    expectedVerdict: result.expectedVerdict,
+    exitCode: result.exitCode,
+    timedOut: result.timedOut,
+    elapsedMs: result.elapsedMs,
+    error: result.error,
+    stderr: result.stderr,
+    http: result.http,
+    rpc: result.rpc,
+    routerRequests: result.routerRequests?.combined ?? null,
+    daemonState: result.daemonState ? { ...result.daemonState, history: undefined } : null
+  };
+
+  return [
+    '  ---',
+    ...Object.entries(fields).map(([key, value]) => `  ${key}: ${JSON.stringify(value)}`),
+    '  ...'
+  ];
+}
+
+function formatTap(results) {
+  const lines = ['TAP version 13', `1..${results.length}`];
+
+  results.forEach((result, index) => {
+    const status = isFailure(result) ? 'not ok' : 'ok';
+    const expectation = result.matchesExpectation === false ? `, expected ${result.expectedVerdict}` : '';
+    lines.push(`${status} ${index + 1} - ${result.scenario} # ${result.verdict}${expectation}`);
+    lines.push(...formatDiagnostics(result));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = formatTap;
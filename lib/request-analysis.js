@@ -0,0 +1,278 @@
+// Interval buckets for the retry histogram, upper bounds in milliseconds
+const HISTOGRAM_BUCKETS = [
+  { label: '<100ms', maxMs: 100 },
+  { label: '100ms-1s', maxMs: 1000 },
+  { label: '1s-5s', maxMs: 5000 },
+  { label: '5s-10s', maxMs: 10000 },
+  { label: '10s-30s', maxMs: 30000 },
+  { label: '>=30s', maxMs: Infinity }
+];
+
+function intervalsBetween(requests) {
+  const intervals = [];
+  for (let i = 1; i < requests.length; i++) {
+    intervals.push(requests[i].at - requests[i - 1].at);
+  }
+  return intervals;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Retry-After is in whole seconds, so a client that waits it out can still
+// come back a little early by our clock
+const RETRY_AFTER_TOLERANCE_MS = 100;
+
+// Same router, method and path; the query string is left out because redirects
+// add one
+function pathKey({ router, method, url }) {
+  return `${router} ${method} ${url.split('?')[0]}`;
+}
+
+function answeredAt(request) {
+  return request.closedAt ?? request.at;
+}
+
+function maxAgeMs(request) {
+  const match = /max-age=(\d+)/.exec(request.responseHeaders?.['cache-control'] ?? '');
+  return match ? Number(match[1]) * 1000 : 0;
+}
+
+// Whether kubo honors what the routers' HTTP answers ask of it: how long it
+// waits after a 429, whether it follows redirects, whether it repeats a
+// query whose 404 it was allowed to cache, and whether it is still holding
+// NDJSON streams open when the report runs
+function analyzeHttpHandling(requests) {
+  const limited = requests.filter(({ status }) => status === 429);
+  const gapsMs = limited.flatMap((request) => {
+    const next = requests.find(other => other !== request && other.at >= answeredAt(request) && pathKey(other) === pathKey(request));
+    return next ? [next.at - answeredAt(request)] : [];
+  });
+  const retryAfter = limited.find(({ responseHeaders }) => responseHeaders?.['retry-after'] !== undefined);
+  const retryAfterMs = retryAfter ? Number(retryAfter.responseHeaders['retry-after']) * 1000 : null;
+
+  const redirects = requests.filter(({ status, responseHeaders }) => status >= 300 && status < 400 && responseHeaders?.location);
+  const followed = redirects.filter(request => requests.some(other => other.router === request.router &&
+    other.at >= answeredAt(request) && other.url === request.responseHeaders.location));
+
+  const cacheable = requests.filter(request => request.status === 404 && maxAgeMs(request) > 0);
+  const repeats = requests.filter(request => cacheable.some(cached => cached !== request && cached.url === request.url &&
+    cached.router === request.router && request.at >= answeredAt(cached) && request.at <= answeredAt(cached) + maxAgeMs(cached)));
+
+  const streams = requests.filter(({ streamedLines }) => streamedLines !== null && streamedLines !== undefined);
+
+  return {
+    rateLimit: {
+      responses: limited.length,
+      retryAfterMs,
+      gapsMs,
+      minGapMs: gapsMs.length > 0 ? Math.min(...gapsMs) : null,
+      medianGapMs: median(gapsMs),
+      retriedEarly: retryAfterMs === null ? null : gapsMs.filter(gap => gap < retryAfterMs - RETRY_AFTER_TOLERANCE_MS).length
+    },
+    redirects: {
+      responses: redirects.length,
+      followed: followed.length
+    },
+    caching: {
+      cacheableNotFound: cacheable.length,
+      repeatsWithinMaxAge: repeats.length
+    },
+    streaming: {
+      acceptedNdjson: requests.filter(({ accept }) => accept?.includes('application/x-ndjson')).length,
+      streams: streams.length,
+      linesStreamed: streams.reduce((total, { streamedLines }) => total + streamedLines, 0),
+      stillOpen: streams.filter(({ closedAt }) => closedAt === null).length
+    }
+  };
+}
+
+function buildHistogram(intervals) {
+  const histogram = {};
+  for (const { label } of HISTOGRAM_BUCKETS) {
+    histogram[label] = 0;
+  }
+  for (const interval of intervals) {
+    const bucket = HISTOGRAM_BUCKETS.find(({ maxMs }) => interval < maxMs);
+    histogram[bucket.label]++;
+  }
+  return histogram;
+}
+
+// CIDs announced in a provide (PUT /routing/v1/providers) body. Keys are CID
+// strings, or {"/": cid} links from clients that encode them as DAG-JSON.
+function announcedKeys(body) {
+  const records = Array.isArray(body?.Providers) ? body.Providers : [];
+  return records
+    .flatMap(record => record.Payload?.Keys ?? [])
+    .map(key => (typeof key === 'string' ? key : key?.['/']))
+    .filter(Boolean);
+}
+
+// Summarizes the routing queries (provider, peer, IPNS and provide requests)
+// one router received. fetchResult (from KuboFixture.fetch) anchors the timings
+// to the client: offsets are relative to the fetch starting and anything after
+// endedAt arrived after the client gave up.
+function analyzeRouterRequests(requests, fetchResult = null) {
+  const routingRequests = requests.filter(request => request.kind !== 'other');
+  const intervals = intervalsBetween(routingRequests);
+  const origin = fetchResult?.startedAt ?? routingRequests[0]?.at;
+
+  const queriesPerPath = {};
+  const requestsByKind = {};
+  for (const { method, url, kind } of routingRequests) {
+    const query = `${method} ${url}`;
+    queriesPerPath[query] = (queriesPerPath[query] || 0) + 1;
+    requestsByKind[kind] = (requestsByKind[kind] || 0) + 1;
+  }
+
+  // A retry is any repeat of the same query to the same router
+  const distinctQueries = new Set(routingRequests.map(({ router, method, url }) => `${router} ${method} ${url}`));
+
+  // acceptedKeys only counts announcements the router answered with 200
+  const announcements = routingRequests
+    .filter(request => request.kind === 'provide')
+    .map(({ router, at, behavior, status, body }) => ({ router, offsetMs: at - origin, behavior, status, keys: announcedKeys(body) }));
+  const keysWhere = (predicate) => [...new Set(announcements.filter(predicate).flatMap(({ keys }) => keys))];
+
+  const afterClientGaveUp = fetchResult?.endedAt
+    ? routingRequests.filter(request => request.at > fetchResult.endedAt).length
+    : 0;
+
+  return {
+    totalRequests: requests.length,
+    routingRequests: routingRequests.length,
+    providerRequests: requestsByKind.providers ?? 0,
+    requestsByKind,
+    retries: routingRequests.length - distinctQueries.size,
+    firstRequestOffsetMs: routingRequests.length > 0 ? routingRequests[0].at - origin : null,
+    lastRequestOffsetMs: routingRequests.length > 0 ? routingRequests[routingRequests.length - 1].at - origin : null,
+    intervalsMs: intervals,
+    minIntervalMs: intervals.length > 0 ? Math.min(...intervals) : null,
+    medianIntervalMs: median(intervals),
+    maxIntervalMs: intervals.length > 0 ? Math.max(...intervals) : null,
+    histogram: buildHistogram(intervals),
+    queriesPerPath,
+    ...analyzeHttpHandling(routingRequests),
+    announcements,
+    announcedKeys: keysWhere(() => true),
+    acceptedKeys: keysWhere(({ status }) => status === 200),
+    afterClientGaveUp,
+    keptQueryingAfterClientGaveUp: afterClientGaveUp > 0
+  };
+}
+
+// routers: MockRouter instances (anything with a name and a requests log)
+function analyzeRouters(routers, fetchResult = null) {
+  const perRouter = {};
+  for (const router of routers) {
+    perRouter[router.name] = analyzeRouterRequests(router.requests, fetchResult);
+  }
+
+  const allRequests = routers
+    .flatMap(router => router.requests)
+    .sort((a, b) => a.at - b.at);
+
+  // Routers are queried in parallel, so intervals only mean something within one
+  // router; the combined histogram is the sum of the per-router ones.
+  const combined = analyzeRouterRequests(allRequests, fetchResult);
+  const intervals = Object.values(perRouter).flatMap(stats => stats.intervalsMs);
+  Object.assign(combined, {
+    intervalsMs: intervals,
+    minIntervalMs: intervals.length > 0 ? Math.min(...intervals) : null,
+    medianIntervalMs: median(intervals),
+    maxIntervalMs: intervals.length > 0 ? Math.max(...intervals) : null,
+    histogram: buildHistogram(intervals)
+  });
+
+  return { perRouter, combined };
+}
+
+function printHttpHandling({ rateLimit, redirects, caching, streaming }) {
+  if (rateLimit.responses > 0) {
+    const gaps = rateLimit.gapsMs.length > 0 ? `, next query for the same path after ${rateLimit.gapsMs.join(', ')}ms` : '';
+    console.log(`Rate limiting: ${rateLimit.responses} 429 response(s)${gaps}`);
+    if (rateLimit.retryAfterMs === null) {
+      console.log('  No Retry-After was sent, so any spacing is kubo\'s own backoff');
+    } else if (rateLimit.retriedEarly > 0) {
+      console.log(`❌ Kubo queried again ${rateLimit.retriedEarly} time(s) before Retry-After (${rateLimit.retryAfterMs}ms) was up`);
+    } else if (rateLimit.gapsMs.length > 0) {
+      console.log(`✅ Kubo waited out Retry-After (${rateLimit.retryAfterMs}ms) before querying again`);
+    }
+  }
+  if (redirects.responses > 0) {
+    const mark = redirects.followed === 0 ? '⚠️ ' : '✅';
+    console.log(`${mark} Redirects: kubo followed ${redirects.followed} of ${redirects.responses} redirect response(s)`);
+  }
+  if (caching.cacheableNotFound > 0) {
+    if (caching.repeatsWithinMaxAge > 0) {
+      console.log(`❌ Caching: kubo repeated ${caching.repeatsWithinMaxAge} query(ies) within the max-age of a cacheable 404`);
+    } else {
+      console.log(`✅ Caching: no query was repeated within the max-age of the ${caching.cacheableNotFound} cacheable 404(s)`);
+    }
+  }
+  if (streaming.streams > 0) {
+    console.log(`Streaming: ${streaming.streams} NDJSON response(s), ${streaming.linesStreamed} line(s) sent (kubo asked for NDJSON in ${streaming.acceptedNdjson} request(s))`);
+    if (streaming.stillOpen > 0) {
+      console.log(`❌ Kubo is still holding ${streaming.stillOpen} stream(s) open that the router never closed`);
+    } else {
+      console.log('✅ Every stream was closed by the time of this report');
+    }
+  }
+}
+
+function printRouterRequestReport(analysis) {
+  console.log('\n=== ROUTER REQUEST ANALYSIS ===');
+
+  console.table(Object.entries(analysis.perRouter).map(([router, stats]) => ({
+    router,
+    requests: stats.totalRequests,
+    routingQueries: stats.routingRequests,
+    byKind: Object.entries(stats.requestsByKind).map(([kind, count]) => `${kind}:${count}`).join(' '),
+    retries: stats.retries,
+    firstMs: stats.firstRequestOffsetMs,
+    lastMs: stats.lastRequestOffsetMs,
+    medianIntervalMs: stats.medianIntervalMs,
+    afterClientGaveUp: stats.afterClientGaveUp
+  })));
+
+  const { combined } = analysis;
+  if (combined.announcements.length > 0) {
+    console.log('Provide announcements:');
+    console.table(combined.announcements.map(({ router, offsetMs, behavior, status, keys }) => ({
+      router,
+      offsetMs,
+      behavior,
+      status: status ?? 'no answer',
+      keys: keys.join(' ')
+    })));
+  }
+  console.log('Inter-request intervals per router (ms):', JSON.stringify(combined.intervalsMs));
+  console.log('Retry interval histogram (all routers):');
+  for (const [label, count] of Object.entries(combined.histogram)) {
+    console.log(`  ${label.padEnd(10)} ${'#'.repeat(count)} ${count}`);
+  }
+
+  printHttpHandling(combined);
+
+  if (combined.routingRequests === 0) {
+    console.log('⚠️  No routing queries reached the mock routers');
+  } else if (combined.keptQueryingAfterClientGaveUp) {
+    console.log(`❌ Kubo kept querying the routers after the client gave up (${combined.afterClientGaveUp} more routing queries)`);
+  } else {
+    console.log('✅ Kubo stopped querying the routers once the client gave up');
+  }
+}
+
+module.exports = {
+  HISTOGRAM_BUCKETS,
+  analyzeRouterRequests,
+  analyzeRouters,
+  printRouterRequestReport
+};
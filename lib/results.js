@@ -0,0 +1,153 @@
+const { classifyFetchResult } = require('./kubo-fixture');
+
+// Process exit codes, one per verdict. 1 is kept for harness errors because the
+// scripts already exit 1 when setup fails.
+const EXIT_CODES = {
+  'pass': 0,
+  'harness-error': 1,
+  'bug-confirmed': 2,
+  'unexpected': 3
+};
+
+// Fetch outcomes (see classifyFetchResult) mapped to verdicts. A fetch that errors
+// with a message is what we want kubo to do, so that is a pass, and so is a
+// command that finishes reporting nothing found.
+const OUTCOME_VERDICTS = {
+  'hung': 'bug-confirmed',
+  'failed-silently': 'bug-confirmed',
+  'failed-with-error': 'pass',
+  'empty-result': 'pass',
+  'failed-slowly': 'bug-confirmed',
+  'succeeded': 'unexpected'
+};
+
+// A positive control (a scenario where routing is set up to work) passes only
+// when the fetch succeeds; anything else means the baseline itself is broken.
+const CONTROL_OUTCOME_VERDICTS = {
+  'hung': 'unexpected',
+  'failed-silently': 'unexpected',
+  'failed-with-error': 'unexpected',
+  'empty-result': 'unexpected',
+  'failed-slowly': 'unexpected',
+  'succeeded': 'pass'
+};
+
+// Outcomes where the command gave up by itself, which the time-to-failure budget applies to
+const TERMINATED_OUTCOMES = ['failed-with-error', 'empty-result'];
+
+// Severity order used to pick one exit code for a run of several scenarios
+const VERDICT_SEVERITY = ['pass', 'unexpected', 'bug-confirmed', 'harness-error'];
+
+function summarizeRequestStats(requestStats) {
+  if (!requestStats) {
+    return null;
+  }
+
+  const pick = (stats) => ({
+    totalRequests: stats.totalRequests,
+    routingRequests: stats.routingRequests,
+    providerRequests: stats.providerRequests,
+    requestsByKind: stats.requestsByKind,
+    retries: stats.retries,
+    firstRequestOffsetMs: stats.firstRequestOffsetMs,
+    lastRequestOffsetMs: stats.lastRequestOffsetMs,
+    medianIntervalMs: stats.medianIntervalMs,
+    histogram: stats.histogram,
+    rateLimit: stats.rateLimit,
+    redirects: stats.redirects,
+    caching: stats.caching,
+    streaming: stats.streaming,
+    announcedKeys: stats.announcedKeys,
+    acceptedKeys: stats.acceptedKeys,
+    afterClientGaveUp: stats.afterClientGaveUp
+  });
+
+  const perRouter = {};
+  for (const [router, stats] of Object.entries(requestStats.perRouter)) {
+    perRouter[router] = pick(stats);
+  }
+  return { combined: pick(requestStats.combined), perRouter };
+}
+
+// Structured result of one scenario run. Pass error instead of fetchResult when
+// the harness itself failed before a verdict could be reached. budget ({ spec,
+// maxMs }, see lib/timings.js) is the time-to-failure budget: a command that
+// gives up later than that failed slowly, which counts as the bug. phases are the
+// fetch's phase timings; the time to failure is its exit phase when measured.
+// expect comes from the scenario file, and expectedVerdict is recorded so a flip
+// shows up in reports. control marks a
+// positive control (see CONTROL_OUTCOME_VERDICTS), and outcomeVerdicts overrides
+// single entries of the table in use, for commands where an outcome means
+// something else (a provide that succeeds against broken routers is the bug);
+// an entry can be a function of { provide } when the outcome alone does not decide.
+// provide records whether the CID a scenario announces reached a router, and
+// timeline summarizes the run's event timeline (see lib/timeline.js) and
+// daemonState the daemon samples taken during the fetch (see lib/daemon-sampler.js).
+function createScenarioResult({ scenario, parameters = null, fetchResult = null, requestStats = null, error = null, expect = null, control = false, outcomeVerdicts = null, provide = null, timeline = null, budget = null, phases = null, daemonState = null }) {
+  let outcome = error ? 'harness-error' : classifyFetchResult(fetchResult);
+  const maxTimeToFailureMs = budget?.maxMs ?? null;
+  const terminated = TERMINATED_OUTCOMES.includes(outcome);
+  const elapsedMs = phases?.exitMs ?? fetchResult?.elapsedMs ?? null;
+  if (terminated && maxTimeToFailureMs !== null && elapsedMs > maxTimeToFailureMs) {
+    outcome = 'failed-slowly';
+  }
+  const verdicts = { ...(control ? CONTROL_OUTCOME_VERDICTS : OUTCOME_VERDICTS), ...outcomeVerdicts };
+  const verdictFor = verdicts[outcome];
+  const verdict = error ? 'harness-error' : (typeof verdictFor === 'function' ? verdictFor({ provide }) : verdictFor);
+  const expectedVerdict = expect?.verdict ?? null;
+
+  return {
+    scenario,
+    parameters,
+    control,
+    verdict,
+    outcome,
+    timeToFailureMs: terminated || outcome === 'failed-silently' ? elapsedMs : null,
+    exitCode: fetchResult?.exitCode ?? null,
+    timedOut: fetchResult?.timedOut ?? false,
+    elapsedMs: fetchResult?.elapsedMs ?? null,
+    startedAt: fetchResult ? new Date(fetchResult.startedAt).toISOString() : new Date().toISOString(),
+    stdout: fetchResult?.stdout ?? '',
+    stderr: fetchResult?.stderr ?? '',
+    error: error ? error.message : null,
+    expectedVerdict,
+    matchesExpectation: expectedVerdict === null ? null : expectedVerdict === verdict,
+    maxTimeToFailureMs,
+    timeToFailureBudget: budget?.spec ?? null,
+    phases,
+    http: fetchResult?.http ?? null,
+    rpc: fetchResult?.rpc ?? null,
+    provide,
+    routerRequests: summarizeRequestStats(requestStats),
+    timeline,
+    daemonState
+  };
+}
+
+// A result whose verdict differs from the one its scenario expects fails even
+// when the verdict is pass: the expectation is what the reports track, so a
+// flip (a bug fixed, or a control broken) has to show up in them
+function isFailure({ verdict, matchesExpectation }) {
+  return verdict !== 'pass' || matchesExpectation === false;
+}
+
+// An expectation mismatch counts as at least unexpected
+function exitCodeForResults(results) {
+  let worst = 'pass';
+  for (const { verdict, matchesExpectation } of results) {
+    const severity = Math.max(VERDICT_SEVERITY.indexOf(verdict), matchesExpectation === false ? VERDICT_SEVERITY.indexOf('unexpected') : 0);
+    if (severity > VERDICT_SEVERITY.indexOf(worst)) {
+      worst = VERDICT_SEVERITY[severity];
+    }
+  }
+  return EXIT_CODES[worst];
+}
+
+module.exports = {
+  EXIT_CODES,
+  OUTCOME_VERDICTS,
+  CONTROL_OUTCOME_VERDICTS,
+  createScenarioResult,
+  isFailure,
+  exitCodeForResults
+};
@@ -0,0 +1,127 @@
+const NOT_SUPPORTED_ENDPOINT = 'http://kubohttprouternotsupported';
+
+const ROUTING_METHODS = ['find-peers', 'find-providers', 'get-ipns', 'provide', 'put-ipns'];
+
+// Which methods go to the delegated routers; the rest go to HttpRouterNotSupported
+const DEFAULT_METHODS = {
+  'find-peers': 'unsupported',
+  'find-providers': 'delegated',
+  'get-ipns': 'unsupported',
+  'provide': 'delegated',
+  'put-ipns': 'unsupported'
+};
+
+// How the delegated http routers are combined, and the name of the composite router
+const ROUTER_TYPES = {
+  parallel: 'HttpRoutersParallel',
+  sequential: 'HttpRoutersSequential'
+};
+
+function resolveMethods(methods = {}) {
+  return { ...DEFAULT_METHODS, ...methods };
+}
+
+function methodRouterName(target, routerType) {
+  return target === 'delegated' ? ROUTER_TYPES[routerType] : 'HttpRouterNotSupported';
+}
+
+// Builds a custom Routing block where the delegated methods (find-providers and
+// provide by default) go to a parallel or sequential router made of one http
+// router per endpoint, and everything else goes to an endpoint that can never
+// resolve.
+function createDelegatedRoutingConfig({ endpoints, ignoreErrors = false, timeout = '5s', methods, routerType = 'parallel' }) {
+  if (!ROUTER_TYPES[routerType]) {
+    throw new Error(`Unknown router type '${routerType}', expected one of: ${Object.keys(ROUTER_TYPES).join(', ')}`);
+  }
+
+  const methodsConfig = {};
+  for (const [method, target] of Object.entries(resolveMethods(methods))) {
+    methodsConfig[method] = {
+      "RouterName": methodRouterName(target, routerType)
+    };
+  }
+
+  const routers = {};
+  const childRouters = [];
+
+  endpoints.forEach((endpoint, index) => {
+    const routerName = `HttpRouter${index + 1}`;
+    routers[routerName] = {
+      "Parameters": {
+        "Endpoint": endpoint
+      },
+      "Type": "http"
+    };
+    childRouters.push({
+      "IgnoreErrors": ignoreErrors,
+      "RouterName": routerName,
+      "Timeout": timeout
+    });
+  });
+
+  routers.HttpRouterNotSupported = {
+    "Parameters": {
+      "Endpoint": NOT_SUPPORTED_ENDPOINT
+    },
+    "Type": "http"
+  };
+  routers[ROUTER_TYPES[routerType]] = {
+    "Parameters": {
+      "Routers": childRouters
+    },
+    "Type": routerType
+  };
+
+  return {
+    "Methods": methodsConfig,
+    "Routers": routers,
+    "Type": "custom"
+  };
+}
+
+// Checks the config reported by `ipfs config show` against what
+// createDelegatedRoutingConfig was asked to produce.
+function verifyRoutingConfig(config, { endpoints, ignoreErrors = false, methods, routerType = 'parallel' }) {
+  if (config.Routing?.Type !== 'custom') {
+    throw new Error(`Expected Routing.Type to be 'custom', got '${config.Routing?.Type}'`);
+  }
+
+  for (const [method, target] of Object.entries(resolveMethods(methods))) {
+    const expected = methodRouterName(target, routerType);
+    const routerName = config.Routing?.Methods?.[method]?.RouterName;
+    if (routerName !== expected) {
+      throw new Error(`Expected ${method} RouterName to be '${expected}', got '${routerName}'`);
+    }
+  }
+
+  endpoints.forEach((endpoint, index) => {
+    const routerName = `HttpRouter${index + 1}`;
+    const actual = config.Routing?.Routers?.[routerName]?.Parameters?.Endpoint;
+    if (actual !== endpoint) {
+      throw new Error(`Expected ${routerName} endpoint to be '${endpoint}', got '${actual}'`);
+    }
+  });
+
+  const composite = config.Routing?.Routers?.[ROUTER_TYPES[routerType]];
+  if (composite?.Type !== routerType) {
+    throw new Error(`Expected ${ROUTER_TYPES[routerType]} to be of type '${routerType}', got '${composite?.Type}'`);
+  }
+
+  const childRouters = composite.Parameters?.Routers;
+  if (childRouters) {
+    for (const router of childRouters) {
+      if (router.IgnoreErrors !== ignoreErrors) {
+        throw new Error(`Expected IgnoreErrors to be ${ignoreErrors} for ${router.RouterName}, got ${router.IgnoreErrors}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  NOT_SUPPORTED_ENDPOINT,
+  ROUTING_METHODS,
+  DEFAULT_METHODS,
+  ROUTER_TYPES,
+  createDelegatedRoutingConfig,
+  verifyRoutingConfig
+};
@@ -0,0 +1,62 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Console } = require('console');
+const { Writable } = require('stream');
+const { registerTeardown } = require('./teardown');
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'table'];
+
+// The buffer of the run the current async context belongs to, if any
+const currentRun = new AsyncLocalStorage();
+
+// With several runs going at once, each run's console output (the runner's,
+// its mock routers', fault proxies' and kubo fixture's alike) is held back and
+// printed in one piece when the run ends, so runs do not interleave. Returns
+// { capture, restore }: capture(fn) runs fn with its output buffered and
+// flushes it once fn settles; restore() puts the console methods back.
+function bufferRunOutput() {
+  const original = {};
+  for (const method of CONSOLE_METHODS) {
+    original[method] = console[method];
+    console[method] = (...args) => {
+      const run = currentRun.getStore();
+      (run ? run.console : original)[method](...args);
+    };
+  }
+
+  const flush = (chunks) => {
+    for (const { stderr, text } of chunks.splice(0)) {
+      // Written the way it would have been, through whatever console.log and
+      // console.error were (see logToStderr)
+      (stderr ? original.error : original.log)('%s', text.replace(/\n$/, ''));
+    }
+  };
+
+  const capture = async (fn) => {
+    const chunks = [];
+    const stream = (stderr) => new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push({ stderr, text: chunk.toString() });
+        callback();
+      }
+    });
+    const run = { console: new Console({ stdout: stream(false), stderr: stream(true) }) };
+    // An interrupted run still shows what it got to
+    const unregisterTeardown = registerTeardown('buffered run output', () => flush(chunks));
+    try {
+      return await currentRun.run(run, fn);
+    } finally {
+      unregisterTeardown();
+      flush(chunks);
+    }
+  };
+
+  const restore = () => {
+    Object.assign(console, original);
+  };
+
+  return { capture, restore };
+}
+
+module.exports = {
+  bufferRunOutput
+};
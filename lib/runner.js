@@ -0,0 +1,705 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sleep, parseDuration, checkRequiredPorts, allocatePorts, releasePorts } = require('./utils');
+const { createDelegatedRoutingConfig } = require('./routing-config');
+const { DEFAULT_KUBO_PATH, KuboFixture, printFetchResult } = require('./kubo-fixture');
+const { PROVIDER_RECORD_BEHAVIORS, MockRouter, describeBehavior } = require('./mock-router');
+const { FaultProxy, describeFault } = require('./fault-proxy');
+const { routerCertificate, writeCaFile } = require('./certificates');
+const { unreachableAddrs } = require('./provider-records');
+const { analyzeRouters, printRouterRequestReport } = require('./request-analysis');
+const { includesCid } = require('./cids');
+const { buildTimeline, summarizeTimeline, printTimeline, writeTimeline } = require('./timeline');
+const { DEFAULT_TIME_TO_FAILURE_BUDGET, resolveBudget, describeBudget, measurePhases, printPhases } = require('./timings');
+const { DaemonSampler, summarizeSamples, printDaemonState } = require('./daemon-sampler');
+const { registerTeardown } = require('./teardown');
+const { bufferRunOutput } = require('./run-output');
+const { createScenarioResult } = require('./results');
+const { expandScenario } = require('./scenarios');
+const { GATEWAY_COMMAND, RPC_COMMAND, RETRIEVAL_COMMANDS, resolveCommandNames, usesInput, inputPath, commandArgs } = require('./commands');
+const { PROVIDER_NODE } = require('./scenario-loader');
+
+const DEFAULT_OPTIONS = {
+  cid: 'QmYjtig7VJQ6XsnUjqqJvj7QaMcCAwtrgNdahSiFofrE7o', // Hello World CID
+  ignoreErrors: false,
+  routerTimeout: '5s',
+  routerType: 'parallel',
+  routerCount: null, // null keeps the scenario's own router list
+  fetchTimeoutMs: 60000,
+  observeMs: 10000, // Keep mock routers up this long after the client gives up to catch late queries
+  startupTimeoutMs: 60000, // Daemon startup deadline, see lib/daemon-process.js
+  sampleIntervalMs: 2000, // How often the daemon's wantlist, bitswap stats and peers are sampled during the fetch, null to not sample
+  // null ports are allocated per run (see resolveRunPorts)
+  routerPorts: null,
+  kuboPorts: null,
+  providerPorts: null, // Second kubo node for scenarios with a providerNode
+  repoPath: null, // Set per run by runScenarios
+  keepRepo: false, // Leave the run repos (and their timeline.ndjson) on disk for debugging
+  concurrency: 1,
+  kuboPath: DEFAULT_KUBO_PATH,
+  kuboVersion: '0.37.0',
+  behaviors: [],
+  commands: [], // RETRIEVAL_COMMANDS names; empty runs each scenario's own command
+  apiTimeout: '10s', // timeout argument sent with RPC API requests, null to leave it out
+  maxTimeToFailure: null // Time-to-failure budget for every run; null keeps the scenario's own, see lib/timings.js
+};
+
+function printControlAnalysis(scenario, result) {
+  console.log('\n=== CID FETCH ANALYSIS (POSITIVE CONTROL) ===');
+
+  if (result.outcome === 'succeeded') {
+    console.log(`✅ ROUTING WORKS: CID fetch succeeded in ${result.elapsedMs}ms when ${scenario.condition}`);
+    console.log('Use this as the reference timing for the failure scenarios');
+  } else {
+    console.log(`❌ POSITIVE CONTROL FAILED: CID fetch did not succeed even though ${scenario.condition}`);
+    console.log('The routing setup itself is broken, so failure scenarios prove nothing until this passes');
+  }
+}
+
+// What the gateway did on the wire: the difference between a 504 and a hung
+// connection is the point of the gateway scenarios
+function printGatewayAnalysis({ http, timedOut }) {
+  if (http.status === null) {
+    console.log(timedOut ? '❌ Gateway never answered: no status line, no 504, connection left open' : '❌ Gateway closed the connection without answering');
+  } else if (timedOut) {
+    console.log(`❌ Gateway sent HTTP ${http.status} after ${http.ttfbMs}ms, then stalled after ${http.bodyBytes} body bytes`);
+  } else if (http.status === 504) {
+    console.log(`✅ Gateway gave up with 504 Gateway Timeout after ${http.ttfbMs}ms`);
+  } else {
+    console.log(`Gateway answered HTTP ${http.status} after ${http.ttfbMs}ms (${http.bodyBytes} body bytes)`);
+  }
+}
+
+// Whether the RPC API ended the request itself (error body, X-Stream-Error, or
+// its own timeout argument) or kept the response open until the client aborted
+function printRpcAnalysis({ http, rpc, timedOut, exited, exitCode, stderr, elapsedMs }) {
+  const apiTimeout = rpc.apiTimeoutMs === null ? 'no timeout argument' : `timeout argument ${rpc.apiTimeoutMs}ms`;
+  if (timedOut) {
+    const stage = http.status === null ? 'without sending a status' : `after sending HTTP ${http.status} and ${http.bodyBytes} body bytes`;
+    console.log(`❌ RPC API kept /api/v0/${rpc.command} open ${stage} until the client aborted at ${elapsedMs}ms (${apiTimeout})`);
+    return;
+  }
+  if (exited && exitCode !== 0) {
+    console.log(`✅ RPC API ended /api/v0/${rpc.command} with an error after ${elapsedMs}ms: ${stderr.split('\n').filter(Boolean).join(' ')}`);
+  } else {
+    console.log(`RPC API answered /api/v0/${rpc.command} with HTTP ${http.status} after ${elapsedMs}ms`);
+  }
+  if (rpc.apiTimeoutMs !== null && elapsedMs > rpc.apiTimeoutMs + 1000) {
+    console.log(`⚠️  That is past the ${rpc.apiTimeoutMs}ms timeout argument`);
+  }
+}
+
+const OUTCOME_DESCRIPTIONS = {
+  'hung': 'CID fetch hung',
+  'failed-with-error': 'CID fetch failed with an error',
+  'failed-slowly': 'CID fetch failed with an error, past the time-to-failure budget',
+  'failed-silently': 'CID fetch failed without an error message',
+  'succeeded': 'CID fetch succeeded',
+  'empty-result': 'Command finished reporting nothing found'
+};
+
+const VERDICT_HEADLINES = {
+  'pass': '✅ EXPECTED',
+  'bug-confirmed': '❌ BUG CONFIRMED',
+  'unexpected': '❌ UNEXPECTED'
+};
+
+// Works from the scenario result, whose verdict comes from the outcome and the
+// measured time to failure against the budget
+function printFetchAnalysis(scenario, result) {
+  if (scenario.control) {
+    printControlAnalysis(scenario, result);
+    return;
+  }
+
+  console.log('\n=== CID FETCH ANALYSIS ===');
+
+  // Scenarios that give an outcome their own verdict (see createScenarioResult)
+  // get a plain statement instead of the messages below, which assume the
+  // fetch is meant to fail
+  const { outcome, verdict, timeToFailureMs } = result;
+  if (scenario.outcomeVerdicts?.[outcome]) {
+    console.log(`${VERDICT_HEADLINES[verdict]}: ${OUTCOME_DESCRIPTIONS[outcome]} after ${result.elapsedMs}ms when ${scenario.condition}`);
+    return;
+  }
+
+  const budget = `the ${describeBudget({ spec: result.timeToFailureBudget, maxMs: result.maxTimeToFailureMs })} time-to-failure budget`;
+  switch (outcome) {
+    case 'hung':
+      console.log('❌ BUG CONFIRMED: CID fetch hung without proper error handling');
+      console.log(`Expected: Operation should fail within ${budget} with clear error message since ${scenario.condition}`);
+      console.log(`Actual: No exit and no error output until the client gave up after ${result.elapsedMs}ms`);
+      break;
+    case 'failed-with-error':
+      console.log(`✅ EXPECTED: CID fetch failed with an error message after ${timeToFailureMs}ms, within ${budget}`);
+      console.log(`This is the expected behavior when ${scenario.condition}`);
+
+      if (scenario.errorPatterns.some(pattern => result.stderr.includes(pattern))) {
+        console.log('✅ Proper error messages about the routing failure');
+      } else {
+        console.log(`⚠️  Error messages could be more specific about why (${scenario.condition})`);
+      }
+      break;
+    case 'failed-slowly':
+      console.log(`❌ BUG CONFIRMED: CID fetch failed, but only after ${timeToFailureMs}ms, past ${budget}`);
+      console.log(`Expected: Operation should fail within ${budget} since ${scenario.condition}`);
+      break;
+    case 'failed-silently':
+      console.log(`❌ BUG CONFIRMED: CID fetch failed after ${timeToFailureMs}ms but without proper error message`);
+      console.log(`Expected: Clear error message explaining that ${scenario.condition}`);
+      console.log('Actual: Silent failure without informative error message');
+      break;
+    case 'succeeded':
+      console.log(`❌ UNEXPECTED: CID fetch succeeded even though ${scenario.condition}`);
+      console.log('This suggests the content was found via alternative means (local cache, etc.)');
+      break;
+    case 'empty-result':
+      console.log(`✅ EXPECTED: Command reported nothing found after ${timeToFailureMs}ms, within ${budget}`);
+      console.log(`This is the expected behavior when ${scenario.condition}`);
+      break;
+  }
+}
+
+// Provide scenarios are about two things: what the command did, and whether the
+// announcement it should have made was taken by a router
+function printProvideAnalysis(scenario, { outcome, verdict, elapsedMs, stderr, provide, timeToFailureBudget, maxTimeToFailureMs }) {
+  console.log('\n=== PROVIDE ANALYSIS ===');
+  const command = scenario.command.filter(arg => !arg.startsWith('-') && !arg.includes('{')).join(' ');
+
+  switch (outcome) {
+    case 'hung':
+      console.log(`❌ BUG CONFIRMED: ipfs ${command} blocked until the client gave up at ${elapsedMs}ms when ${scenario.condition}`);
+      break;
+    case 'failed-with-error':
+      console.log(`Command failed after ${elapsedMs}ms: ${stderr.split('\n').filter(Boolean).join(' ')}`);
+      break;
+    case 'failed-slowly':
+      console.log(`❌ Command failed after ${elapsedMs}ms, past the ${describeBudget({ spec: timeToFailureBudget, maxMs: maxTimeToFailureMs })} time-to-failure budget: ${stderr.split('\n').filter(Boolean).join(' ')}`);
+      break;
+    case 'failed-silently':
+      console.log(`❌ Command failed after ${elapsedMs}ms without an error message`);
+      break;
+    default:
+      console.log(`Command reported success after ${elapsedMs}ms`);
+  }
+
+  if (provide.accepted) {
+    console.log(`✅ A router accepted the announcement for ${provide.cid}`);
+  } else if (provide.announced) {
+    console.log(`❌ The announcement for ${provide.cid} reached the routers, but none accepted it`);
+  } else {
+    console.log(`⚠️  No announcement for ${provide.cid} reached the routers`);
+  }
+  // add reporting success is fine whatever became of the announcement
+  if (verdict === 'bug-confirmed' && !provide.accepted && (outcome === 'succeeded' || outcome === 'empty-result')) {
+    console.log(provide.announced
+      ? '❌ The command reported success anyway: the announcement was dropped silently'
+      : '❌ The command reported success anyway without announcing anything');
+  }
+}
+
+function printExpectation(result) {
+  if (result.expectedVerdict !== null) {
+    const mark = result.matchesExpectation ? '✅' : '⚠️ ';
+    console.log(`${mark} Expected verdict ${result.expectedVerdict}, got ${result.verdict}`);
+  }
+}
+
+// Trims or extends (repeating the last router) a scenario's router list to count
+function resizeRouters(routers, count) {
+  if (count === null) {
+    return routers;
+  }
+  return Array.from({ length: count }, (_, index) => routers[Math.min(index, routers.length - 1)]);
+}
+
+// Per-run repos live in a fresh directory under the OS temp directory, one
+// repo per run so concurrent runs never share one
+function createRunDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'kubo-router-repro-'));
+}
+
+function runRepoPath(runDirectory, index, name) {
+  return path.join(runDirectory, `${String(index + 1).padStart(2, '0')}-${name.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/-+$/, '')}`);
+}
+
+function removeDirectory(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+function describeRouter(behavior, network, tls) {
+  return [
+    behavior === null ? 'should be offline' : describeBehavior(behavior),
+    ...(network ? [`behind ${describeFault(network)}`] : []),
+    ...(tls ? [`HTTPS, ${tls} certificate`] : [])
+  ].join(', ');
+}
+
+// Whether any entry of behavior, redirect targets included, is one of names
+function usesBehavior(behavior, names) {
+  if (behavior === null || typeof behavior === 'function') {
+    return false;
+  }
+  if (Array.isArray(behavior)) {
+    return behavior.some(entry => usesBehavior(entry, names));
+  }
+  const entry = typeof behavior === 'string' ? { name: behavior } : behavior;
+  return names.includes(entry.name) || (entry.then !== undefined && usesBehavior(entry.then, names));
+}
+
+// Fills in what depends on the run: provider-node becomes the 'providers'
+// behavior answering with the provider node's record, and behaviors that send
+// made-up provider records without addrs advertise the run's reserved closed
+// port. Redirect targets are filled in the same way.
+function resolveRunBehavior(behavior, { provider, closedPort }) {
+  if (Array.isArray(behavior)) {
+    return behavior.map(entry => resolveRunBehavior(entry, { provider, closedPort }));
+  }
+  if (typeof behavior === 'function') {
+    return behavior;
+  }
+  const entry = typeof behavior === 'string' ? { name: behavior } : behavior;
+  if (entry.name === PROVIDER_NODE) {
+    return { ...entry, name: 'providers', providers: [provider] };
+  }
+  if (PROVIDER_RECORD_BEHAVIORS.includes(entry.name) && entry.addrs === undefined) {
+    return { ...entry, addrs: unreachableAddrs(closedPort) };
+  }
+  if (entry.then !== undefined) {
+    return { ...entry, then: resolveRunBehavior(entry.then, { provider, closedPort }) };
+  }
+  return behavior;
+}
+
+// Ports for one run. Ports set in options are used as given, the rest are
+// allocated and listed in allocated so they can be released after the run.
+// Offline routers and the closed provider port are allocated like the others,
+// which keeps every other run in this process from listening on them. Routers
+// behind a network fault get an upstream port for the mock router, the fault
+// proxy taking the router port kubo is configured with.
+async function resolveRunPorts(options, { routerCount, upstreamCount, providerNode, needsClosedPort }) {
+  const allocated = [];
+  const allocate = async (count) => {
+    const ports = await allocatePorts(count);
+    allocated.push(...ports);
+    return ports;
+  };
+  const kuboPorts = async (ports) => {
+    if (ports) {
+      return ports;
+    }
+    const [swarm, api, gateway] = await allocate(3);
+    return { swarm, api, gateway };
+  };
+
+  try {
+    const routers = options.routerPorts ?? await allocate(routerCount);
+    if (routers.length < routerCount) {
+      throw new Error(`Scenario needs ${routerCount} router ports, got ${routers.length}`);
+    }
+    return {
+      kubo: await kuboPorts(options.kuboPorts),
+      provider: providerNode ? await kuboPorts(options.providerPorts) : null,
+      routers,
+      upstreams: upstreamCount > 0 ? await allocate(upstreamCount) : [],
+      closed: needsClosedPort ? (await allocate(1))[0] : null,
+      allocated
+    };
+  } catch (error) {
+    releasePorts(allocated);
+    throw error;
+  }
+}
+
+// Starts the second kubo node, adds the content and returns its CID and the
+// provider record the mock routers hand out. Only loopback TCP addresses are
+// advertised: both nodes run on this machine.
+async function startProviderNode(providerFixture, { content }) {
+  await providerFixture.init();
+  await providerFixture.configureRouting({ Type: 'none' });
+  await providerFixture.startDaemon();
+
+  const cid = await providerFixture.addContent(content);
+  const { id, addresses } = await providerFixture.identify();
+  const addrs = addresses
+    .filter(addr => addr.startsWith('/ip4/127.0.0.1/tcp/'))
+    .map(addr => addr.replace(/\/p2p\/.*$/, ''));
+  if (addrs.length === 0) {
+    throw new Error(`Provider node ${id} has no loopback TCP address: ${addresses.join(', ')}`);
+  }
+
+  console.log(`✅ Provider node ${id} has ${cid} on ${addrs.join(', ')}`);
+  return { cid, provider: { id, addrs } };
+}
+
+// Writes fresh random content to the run's input file and returns its CID. The
+// content is only stored in the repo when the command needs it there
+// ({input-cid}); both happen before the daemon starts, so nothing is announced
+// until the command runs.
+async function prepareInput(fixture, command, repoPath) {
+  const content = `${crypto.randomUUID()}\n`;
+  fs.writeFileSync(inputPath(repoPath), content);
+  const onlyHash = !command.some(arg => arg.includes('{input-cid}'));
+  return fixture.addContent(content, { onlyHash });
+}
+
+// The knobs that define one cell of a matrix, recorded on every result
+function runParameters(scenario, options, routers) {
+  return {
+    command: scenario.command.join(' '),
+    commandName: scenario.commandName ?? null,
+    ignoreErrors: options.ignoreErrors,
+    routerTimeout: options.routerTimeout,
+    routerCount: routers.length,
+    routerType: options.routerType
+  };
+}
+
+// Runs one concrete scenario (see expandScenario) on a fresh repo and daemon.
+// Setup failures throw; the caller turns them into harness-error results.
+async function runRouterScenario(scenario, options) {
+  console.log(`\n=== Scenario: ${scenario.name} ===`);
+  console.log(`${scenario.description}\n`);
+
+  const budget = resolveBudget(
+    options.maxTimeToFailure ?? scenario.expect?.maxTimeToFailure ?? DEFAULT_TIME_TO_FAILURE_BUDGET,
+    { routerTimeout: options.routerTimeout }
+  );
+  const routerBehaviors = resizeRouters(scenario.routers, options.routerCount);
+  const routerNetworks = resizeRouters(scenario.routers.map((_, index) => scenario.networks?.[index] ?? null), options.routerCount);
+  const routerTls = resizeRouters(scenario.routers.map((_, index) => scenario.tls?.[index] ?? null), options.routerCount);
+  parseDuration(options.routerTimeout);
+
+  // Made-up provider records advertise a local port that has to stay closed
+  const ports = await resolveRunPorts(options, {
+    routerCount: routerBehaviors.length,
+    upstreamCount: routerNetworks.filter(Boolean).length,
+    providerNode: Boolean(scenario.providerNode),
+    needsClosedPort: routerBehaviors.some(behavior => usesBehavior(behavior, PROVIDER_RECORD_BEHAVIORS))
+  });
+
+  // runScenarios gives every run its own repo
+  const repoPath = options.repoPath ?? runRepoPath(path.join(os.tmpdir(), 'kubo-router-repro'), 0, scenario.name);
+  // HTTPS routers are signed by a local CA, which kubo is pointed at
+  const caFile = routerTls.some(Boolean) ? path.join(repoPath, 'router-ca.pem') : null;
+  const fixture = new KuboFixture({
+    kuboPath: options.kuboPath,
+    repoPath,
+    ports: ports.kubo,
+    env: caFile ? { SSL_CERT_FILE: caFile } : {},
+    captureLogs: true,
+    startupTimeoutMs: options.startupTimeoutMs
+  });
+  const providerFixture = scenario.providerNode
+    ? new KuboFixture({
+      kuboPath: options.kuboPath,
+      repoPath: `${repoPath}-provider`,
+      ports: ports.provider,
+      startupTimeoutMs: options.startupTimeoutMs
+    })
+    : null;
+  const mockRouters = [];
+  const faultProxies = [];
+  // Where each router's mock listens: behind its fault proxy, or on the router port
+  let upstreamIndex = 0;
+  const mockPorts = routerNetworks.map((network, index) => (network ? ports.upstreams[upstreamIndex++] : ports.routers[index]));
+  const endpoints = routerBehaviors.map((_, index) => `${routerTls[index] ? 'https' : 'http'}://127.0.0.1:${ports.routers[index]}`);
+  const routing = {
+    endpoints,
+    ignoreErrors: options.ignoreErrors,
+    timeout: options.routerTimeout,
+    methods: scenario.methods,
+    routerType: options.routerType
+  };
+
+  const cleanUp = async () => {
+    await fixture.stop();
+    await providerFixture?.stop();
+    for (const router of mockRouters) {
+      await router.stop();
+    }
+    for (const proxy of faultProxies) {
+      await proxy.stop();
+    }
+    releasePorts(ports.allocated);
+    if (!options.keepRepo) {
+      removeDirectory(repoPath);
+      if (providerFixture) {
+        removeDirectory(providerFixture.repoPath);
+      }
+    }
+  };
+  // Runs on signals and uncaught errors; the finally below covers the rest
+  const unregisterTeardown = registerTeardown(`scenario '${scenario.name}'`, cleanUp);
+
+  try {
+    const portsAvailable = await checkRequiredPorts([
+      ...fixture.requiredPorts,
+      ...(providerFixture?.requiredPorts ?? []).map(({ port, description }) => ({ port, description: `Provider ${description}` })),
+      ...routerBehaviors.map((behavior, index) => ({
+        port: ports.routers[index],
+        description: `HTTP Router ${index + 1} (${describeRouter(behavior, routerNetworks[index], routerTls[index])})`
+      })),
+      ...routerNetworks.flatMap((network, index) => (network ? [{
+        port: mockPorts[index],
+        description: `HTTP Router ${index + 1} upstream of its fault proxy`
+      }] : [])),
+      ...(ports.closed !== null ? [{ port: ports.closed, description: 'Unreachable provider address (should be closed)' }] : [])
+    ]);
+    if (!portsAvailable) {
+      throw new Error('Port conflict detected. Please resolve port conflicts before running the test.');
+    }
+
+    let cid = options.cid;
+    let provider = null;
+    if (providerFixture) {
+      console.log('0. Starting provider node...');
+      ({ cid, provider } = await startProviderNode(providerFixture, scenario.providerNode));
+    }
+
+    console.log('1. Initializing repo and starting mock routers...');
+    await fixture.init();
+    await fixture.configureRouting(createDelegatedRoutingConfig(routing));
+    if (caFile) {
+      writeCaFile(caFile);
+      console.log(`✅ Kubo trusts the local router CA (SSL_CERT_FILE=${caFile})`);
+    }
+    const inputCid = usesInput(scenario.command) ? await prepareInput(fixture, scenario.command, repoPath) : null;
+    if (inputCid) {
+      console.log(`✅ Input file ${inputPath(repoPath)} has CID ${inputCid}`);
+    }
+    for (const [index, network] of routerNetworks.entries()) {
+      if (network === null) {
+        continue;
+      }
+      const proxy = new FaultProxy({
+        port: ports.routers[index],
+        targetPort: mockPorts[index],
+        fault: network,
+        name: `Network fault for HTTP Router ${index + 1}`
+      });
+      faultProxies.push(proxy);
+      await proxy.start();
+    }
+    for (const [index, behavior] of routerBehaviors.entries()) {
+      if (behavior === null) {
+        continue;
+      }
+      const router = new MockRouter({
+        port: mockPorts[index],
+        behavior: resolveRunBehavior(behavior, { provider, closedPort: ports.closed }),
+        name: `HTTP Router ${index + 1}`,
+        tls: routerTls[index] ? routerCertificate(routerTls[index]) : null
+      });
+      mockRouters.push(router);
+      await router.start();
+    }
+
+    console.log('\n2. Starting IPFS daemon...');
+    await fixture.startDaemon();
+
+    console.log('\n3. Daemon is ready. Verifying configuration...\n');
+    await fixture.verifyRouting(routing);
+    console.log(`✅ Kubo config verified: ${endpoints.length} HTTP routers (${options.routerType}), IgnoreErrors ${options.ignoreErrors}, Timeout ${options.routerTimeout}`);
+
+    const args = commandArgs(scenario.command, { cid, repoPath, inputCid });
+    console.log('\n4. Fetching CID content (this should trigger provider discovery)...');
+    console.log('CID:', cid);
+    const sampler = options.sampleIntervalMs === null
+      ? null
+      : new DaemonSampler({ apiUrl: fixture.apiUrl, cid, routers: mockRouters, intervalMs: options.sampleIntervalMs });
+    sampler?.start();
+    let result;
+    try {
+      if (args[0] === GATEWAY_COMMAND) {
+        console.log('Command:', `GET ${fixture.gatewayUrl}${args[1]}`);
+        result = await fixture.fetchGateway(cid, { timeoutMs: options.fetchTimeoutMs, path: args[1] });
+      } else if (args[0] === RPC_COMMAND) {
+        console.log('Command:', `POST ${fixture.apiUrl}/api/v0/${args[1]}`);
+        result = await fixture.fetchRpc(cid, {
+          timeoutMs: options.fetchTimeoutMs,
+          command: args[1],
+          args: args.slice(2),
+          apiTimeout: options.apiTimeout
+        });
+      } else {
+        console.log('Command:', ['ipfs', ...args].join(' '));
+        result = await fixture.fetch(cid, { timeoutMs: options.fetchTimeoutMs, args });
+      }
+    } finally {
+      await sampler?.stop();
+    }
+    printFetchResult(result);
+    const phases = measurePhases(result, mockRouters);
+    printPhases(phases, result, budget);
+    const daemonState = sampler ? summarizeSamples(sampler.samples, cid) : null;
+    if (daemonState) {
+      printDaemonState(daemonState, { intervalMs: options.sampleIntervalMs });
+    }
+    // A daemon that died under the client makes the outcome meaningless
+    fixture.checkDaemon();
+    providerFixture?.checkDaemon();
+
+    let requestStats = null;
+    if (mockRouters.length > 0) {
+      console.log(`\nObserving routers for ${options.observeMs / 1000}s after the client gave up...`);
+      await sleep(options.observeMs);
+      requestStats = analyzeRouters(mockRouters, result);
+      printRouterRequestReport(requestStats);
+    }
+    for (const router of mockRouters.filter(({ tlsErrors }) => tlsErrors.length > 0)) {
+      console.log(`${router.name}: ${router.tlsErrors.length} TLS handshake(s) were not completed (${router.tlsErrors[0].message})`);
+    }
+    for (const proxy of faultProxies) {
+      const open = proxy.connections.filter(({ closedAt }) => closedAt === null).length;
+      console.log(`${proxy.name}: ${proxy.connections.length} connection(s) through '${describeFault(proxy.fault)}', ${open} still open`);
+    }
+
+    const timeline = buildTimeline({ fetchResult: result, routers: mockRouters, daemonLog: fixture.daemonLog });
+    const timelineSummary = summarizeTimeline(timeline, result);
+    printTimeline(timeline, timelineSummary, result, {
+      file: options.keepRepo ? writeTimeline(timeline, path.join(repoPath, 'timeline.ndjson')) : null
+    });
+
+    const scenarioResult = createScenarioResult({
+      scenario: scenario.name,
+      parameters: runParameters(scenario, options, routerBehaviors),
+      fetchResult: result,
+      requestStats,
+      expect: scenario.expect,
+      control: scenario.control,
+      outcomeVerdicts: scenario.outcomeVerdicts,
+      provide: inputCid ? {
+        cid: inputCid,
+        announced: includesCid(requestStats?.combined.announcedKeys ?? [], inputCid),
+        accepted: includesCid(requestStats?.combined.acceptedKeys ?? [], inputCid)
+      } : null,
+      timeline: timelineSummary,
+      budget,
+      phases,
+      daemonState
+    });
+
+    if (scenarioResult.provide) {
+      printProvideAnalysis(scenario, scenarioResult);
+    } else {
+      printFetchAnalysis(scenario, scenarioResult);
+    }
+    if (result.rpc) {
+      printRpcAnalysis(result);
+    } else if (result.http) {
+      printGatewayAnalysis(result);
+    }
+    printExpectation(scenarioResult);
+    return scenarioResult;
+  } finally {
+    console.log('\n5. Cleaning up...');
+    unregisterTeardown();
+    await cleanUp();
+  }
+}
+
+// Runs every scenario (name or loaded scenario file) in order and returns one
+// result per concrete run. options holds only what the caller set explicitly;
+// the rest comes from the scenario's own defaults and then DEFAULT_OPTIONS.
+// cells ([{ label, options }], see lib/matrix.js) repeats every run with each
+// cell's options on top, and options.commands repeats it once per retrieval
+// command. Up to options.concurrency runs go at once; results stay in run order,
+// and each run's output is printed in one piece when it ends (see lib/run-output.js).
+async function runScenarios(scenarios, options = {}, { cells = [{ label: null, options: {} }] } = {}) {
+  const fixture = new KuboFixture({ kuboPath: options.kuboPath ?? DEFAULT_OPTIONS.kuboPath });
+  await fixture.verifyVersion(options.kuboVersion ?? DEFAULT_OPTIONS.kuboVersion);
+
+  const commandNames = options.commands?.length > 0 ? resolveCommandNames(options.commands) : [null];
+  const keepRepo = options.keepRepo ?? DEFAULT_OPTIONS.keepRepo;
+  const runDirectory = createRunDirectory();
+  const unregisterTeardown = registerTeardown('run repos', () => {
+    if (!keepRepo) {
+      removeDirectory(runDirectory);
+    }
+  });
+
+  // Expanding the scenarios can throw too, and the run directory has to go
+  // (and its teardown with it) whatever happens
+  try {
+    const runs = [];
+    for (const entry of scenarios) {
+      for (const baseScenario of expandScenario(entry, { ...DEFAULT_OPTIONS, ...options })) {
+        for (const commandName of commandNames) {
+          const commandScenario = commandName
+            ? { ...baseScenario, name: `${baseScenario.name}:${commandName}`, command: RETRIEVAL_COMMANDS[commandName], commandName }
+            : baseScenario;
+          for (const cell of cells) {
+            const scenario = cell.label ? { ...commandScenario, name: `${commandScenario.name}[${cell.label}]` } : commandScenario;
+            runs.push({
+              scenario,
+              options: {
+                ...DEFAULT_OPTIONS,
+                ...scenario.defaults,
+                ...options,
+                ...cell.options,
+                repoPath: runRepoPath(runDirectory, runs.length, scenario.name)
+              }
+            });
+          }
+        }
+      }
+    }
+
+    // Runs going side by side each print their output in one piece once done
+    const concurrency = options.concurrency ?? DEFAULT_OPTIONS.concurrency;
+    const output = concurrency > 1 && runs.length > 1 ? bufferRunOutput() : null;
+
+    const results = new Array(runs.length);
+    let next = 0;
+    const runOne = async (index) => {
+      const { scenario, options: runOptions } = runs[index];
+      try {
+        results[index] = await runRouterScenario(scenario, runOptions);
+      } catch (error) {
+        console.error(`❌ Scenario '${scenario.name}' could not be run: ${error.message}`);
+        results[index] = createScenarioResult({
+          scenario: scenario.name,
+          parameters: runParameters(scenario, runOptions, resizeRouters(scenario.routers, runOptions.routerCount)),
+          error,
+          expect: scenario.expect,
+          control: scenario.control,
+          outcomeVerdicts: scenario.outcomeVerdicts
+        });
+      }
+    };
+    const worker = async () => {
+      while (next < runs.length) {
+        const index = next++;
+        if (output) {
+          console.log(`⏳ Started ${runs[index].scenario.name} (${index + 1} of ${runs.length}), its output follows once it is done`);
+          await output.capture(() => runOne(index));
+        } else {
+          await runOne(index);
+        }
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(concurrency, runs.length) }, worker));
+    } finally {
+      output?.restore();
+    }
+    return results;
+  } finally {
+    unregisterTeardown();
+    if (keepRepo) {
+      console.log(`\nRun repos kept in ${runDirectory} (--keep-repo)`);
+    } else {
+      removeDirectory(runDirectory);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  runRouterScenario,
+  runScenarios
+};
@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseDuration } = require('./utils');
+const { BEHAVIORS } = require('./mock-router');
+const { FAULTS, TLS_FAULTS } = require('./fault-proxy');
+const { TLS_MODES } = require('./certificates');
+const { ROUTING_METHODS, ROUTER_TYPES } = require('./routing-config');
+const { EXIT_CODES } = require('./results');
+const { GATEWAY_COMMAND, RPC_COMMAND } = require('./commands');
+const { parseBudget } = require('./timings');
+
+// Scenario file format (JSON or YAML):
+//
+//   name: no-providers                      # required, lowercase letters, digits, - _ :
+//   description: Both routers answer 404    # required
+//   condition: routers return no providers  # optional, used in the analysis text
+//   routers:                                # required, one entry per delegated router
+//     - behavior: not-found                 # "offline", "provider-node", a behavior name, { name, ...options } or a list used in request order
+//       network: drip-feed                  # optional, a network fault name or { name, ...options } between kubo and this router
+//       tls: expired                        # optional, serve HTTPS with a trusted, self-signed, expired or wrong-hostname certificate
+//   providerNode:                           # optional, a second local kubo node that has the content
+//     content: hello                        # optional, what it adds; its CID replaces cid
+//   control: true                           # optional, the fetch is expected to succeed (positive control)
+//   methods:                                # optional, "delegated" or "unsupported" per routing method
+//     find-providers: delegated
+//   routerType: parallel                    # optional, parallel or sequential
+//   ignoreErrors: true                      # optional
+//   routerTimeout: 5s                       # optional
+//   fetchTimeout: 120s                      # optional
+//   cid: Qm...                              # optional
+//   command: [cat, "{cid}"]                 # optional, ipfs arguments, {cid} is substituted;
+//                                           # [gateway, "/ipfs/{cid}"] requests the path from the local gateway,
+//                                           # [rpc, dag/get, "{cid}"] calls /api/v0/dag/get on the RPC API
+//   errorPatterns: [no providers]           # optional, stderr substrings that count as a helpful error
+//   expect:                                 # optional
+//     verdict: bug-confirmed                # what this run is currently expected to conclude
+//     maxTimeToFailure: 10s                 # a failure slower than this counts as the bug: a duration or a
+//                                           # multiple of the router Timeout (default 2x routerTimeout)
+const SCENARIO_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9:_-]*$/;
+const TOP_LEVEL_KEYS = [
+  'name', 'description', 'condition', 'routers', 'providerNode', 'control', 'methods', 'routerType', 'ignoreErrors',
+  'routerTimeout', 'fetchTimeout', 'cid', 'command', 'errorPatterns', 'expect'
+];
+const OFFLINE = 'offline';
+const DEFAULT_PROVIDER_CONTENT = 'kubo-router-repro positive control\n';
+// Stands for the 'providers' behavior answering with the scenario's provider node
+const PROVIDER_NODE = 'provider-node';
+
+class ScenarioFileError extends Error {
+  constructor(file, problems) {
+    super(`Invalid scenario file ${file}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkString(problems, field, value, { required = false } = {}) {
+  if (value === undefined) {
+    if (required) {
+      problems.push(`${field} is required`);
+    }
+    return;
+  }
+  if (typeof value !== 'string' || value.length === 0) {
+    problems.push(`${field} must be a non-empty string`);
+  }
+}
+
+function checkDuration(problems, field, value) {
+  if (value === undefined) {
+    return;
+  }
+  try {
+    parseDuration(value);
+  } catch (error) {
+    problems.push(`${field}: ${error.message}`);
+  }
+}
+
+function checkNetwork(problems, field, network) {
+  if (network === undefined) {
+    return;
+  }
+  const name = isPlainObject(network) ? network.name : network;
+  if (typeof name !== 'string' || !FAULTS[name]) {
+    problems.push(`${field}: unknown network fault '${name}', expected one of: ${Object.keys(FAULTS).join(', ')}`);
+  }
+}
+
+// then is whatever a redirect answers with once its hops are done: any mock
+// router behavior, but not offline or provider-node, which set up the router itself
+function checkBehavior(problems, field, behavior, { inList = false, hasProviderNode = false, inRedirect = false } = {}) {
+  if (Array.isArray(behavior) && !inList) {
+    if (behavior.length === 0) {
+      problems.push(`${field} must not be an empty list`);
+    }
+    behavior.forEach((entry, index) => checkBehavior(problems, `${field}[${index}]`, entry, { inList: true, hasProviderNode, inRedirect }));
+    return;
+  }
+
+  const name = isPlainObject(behavior) ? behavior.name : behavior;
+  if (typeof name !== 'string') {
+    problems.push(`${field} must be a behavior name, { name, ...options } or a list of those`);
+  } else if (inRedirect && !BEHAVIORS[name]) {
+    problems.push(`${field}: unknown behavior '${name}', expected one of: ${Object.keys(BEHAVIORS).join(', ')}`);
+  } else if (name !== OFFLINE && name !== PROVIDER_NODE && !BEHAVIORS[name]) {
+    problems.push(`${field}: unknown behavior '${name}', expected ${OFFLINE}, ${PROVIDER_NODE} or one of: ${Object.keys(BEHAVIORS).join(', ')}`);
+  } else if (name === OFFLINE && inList) {
+    problems.push(`${field}: '${OFFLINE}' can only be used on its own, not in a list`);
+  } else if (name === PROVIDER_NODE && !hasProviderNode) {
+    problems.push(`${field}: '${PROVIDER_NODE}' needs a providerNode`);
+  } else if (name === 'redirect' && isPlainObject(behavior) && behavior.then !== undefined) {
+    checkBehavior(problems, `${field}.then`, behavior.then, { inRedirect: true });
+  }
+}
+
+// Returns a list of human-readable problems, empty when the scenario is valid
+function validateScenario(data) {
+  const problems = [];
+
+  if (!isPlainObject(data)) {
+    return ['scenario must be an object'];
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      problems.push(`unknown field '${key}', expected one of: ${TOP_LEVEL_KEYS.join(', ')}`);
+    }
+  }
+
+  checkString(problems, 'name', data.name, { required: true });
+  if (typeof data.name === 'string' && !NAME_PATTERN.test(data.name)) {
+    problems.push(`name '${data.name}' may only contain lowercase letters, digits, '-', '_' and ':'`);
+  }
+  checkString(problems, 'description', data.description, { required: true });
+  checkString(problems, 'condition', data.condition);
+  checkString(problems, 'cid', data.cid);
+
+  if (!Array.isArray(data.routers) || data.routers.length === 0) {
+    problems.push('routers is required and must list at least one router');
+  } else {
+    data.routers.forEach((router, index) => {
+      if (!isPlainObject(router)) {
+        problems.push(`routers[${index}] must be an object with a behavior`);
+        return;
+      }
+      for (const key of Object.keys(router)) {
+        if (key !== 'behavior' && key !== 'network' && key !== 'tls') {
+          problems.push(`routers[${index}]: unknown field '${key}'`);
+        }
+      }
+      checkNetwork(problems, `routers[${index}].network`, router.network);
+      const network = isPlainObject(router.network) ? router.network.name : router.network;
+      if (TLS_FAULTS.includes(network) && router.tls === undefined) {
+        problems.push(`routers[${index}].network: '${network}' needs an HTTPS router, set routers[${index}].tls`);
+      }
+      if (router.tls !== undefined && !TLS_MODES[router.tls]) {
+        problems.push(`routers[${index}].tls: unknown TLS mode '${router.tls}', expected one of: ${Object.keys(TLS_MODES).join(', ')}`);
+      }
+      if (router.behavior === undefined) {
+        problems.push(`routers[${index}].behavior is required`);
+      } else {
+        checkBehavior(problems, `routers[${index}].behavior`, router.behavior, { hasProviderNode: data.providerNode !== undefined });
+      }
+    });
+  }
+
+  if (data.providerNode !== undefined) {
+    if (!isPlainObject(data.providerNode)) {
+      problems.push('providerNode must be an object, e.g. {} or { content: hello }');
+    } else {
+      for (const key of Object.keys(data.providerNode)) {
+        if (key !== 'content') {
+          problems.push(`providerNode: unknown field '${key}', expected content`);
+        }
+      }
+      checkString(problems, 'providerNode.content', data.providerNode.content);
+    }
+  }
+  if (data.control !== undefined && typeof data.control !== 'boolean') {
+    problems.push('control must be true or false');
+  }
+
+  if (data.methods !== undefined) {
+    if (!isPlainObject(data.methods)) {
+      problems.push('methods must be an object');
+    } else {
+      for (const [method, target] of Object.entries(data.methods)) {
+        if (!ROUTING_METHODS.includes(method)) {
+          problems.push(`methods: unknown routing method '${method}', expected one of: ${ROUTING_METHODS.join(', ')}`);
+        } else if (target !== 'delegated' && target !== 'unsupported') {
+          problems.push(`methods.${method} must be 'delegated' or 'unsupported', got '${target}'`);
+        }
+      }
+    }
+  }
+
+  if (data.routerType !== undefined && !ROUTER_TYPES[data.routerType]) {
+    problems.push(`routerType must be one of: ${Object.keys(ROUTER_TYPES).join(', ')}`);
+  }
+  if (data.ignoreErrors !== undefined && typeof data.ignoreErrors !== 'boolean') {
+    problems.push('ignoreErrors must be true or false');
+  }
+  checkDuration(problems, 'routerTimeout', data.routerTimeout);
+  checkDuration(problems, 'fetchTimeout', data.fetchTimeout);
+
+  if (data.command !== undefined) {
+    if (!Array.isArray(data.command) || data.command.length === 0 || data.command.some(arg => typeof arg !== 'string')) {
+      problems.push('command must be a non-empty list of strings, e.g. [cat, "{cid}"]');
+    } else if (data.command[0] === GATEWAY_COMMAND && (data.command.length !== 2 || !data.command[1].startsWith('/'))) {
+      problems.push(`command: ${GATEWAY_COMMAND} takes exactly one path, e.g. [${GATEWAY_COMMAND}, "/ipfs/{cid}?format=raw"]`);
+    } else if (data.command[0] === RPC_COMMAND && data.command.length < 2) {
+      problems.push(`command: ${RPC_COMMAND} needs an API command, e.g. [${RPC_COMMAND}, routing/findprovs, "{cid}"]`);
+    }
+  }
+
+  if (data.errorPatterns !== undefined) {
+    if (!Array.isArray(data.errorPatterns) || data.errorPatterns.some(pattern => typeof pattern !== 'string')) {
+      problems.push('errorPatterns must be a list of strings');
+    }
+  }
+
+  if (data.expect !== undefined) {
+    if (!isPlainObject(data.expect)) {
+      problems.push('expect must be an object');
+    } else {
+      for (const key of Object.keys(data.expect)) {
+        if (key !== 'verdict' && key !== 'maxTimeToFailure') {
+          problems.push(`expect: unknown field '${key}', expected verdict or maxTimeToFailure`);
+        }
+      }
+      if (data.expect.verdict !== undefined && EXIT_CODES[data.expect.verdict] === undefined) {
+        problems.push(`expect.verdict must be one of: ${Object.keys(EXIT_CODES).join(', ')}`);
+      }
+      if (data.expect.maxTimeToFailure !== undefined) {
+        try {
+          parseBudget(data.expect.maxTimeToFailure);
+        } catch (error) {
+          problems.push(`expect.maxTimeToFailure: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Converts a validated scenario file into the shape the runner works with
+function normalizeScenario(data, source) {
+  const defaults = {};
+  if (data.cid !== undefined) {
+    defaults.cid = data.cid;
+  }
+  if (data.routerType !== undefined) {
+    defaults.routerType = data.routerType;
+  }
+  if (data.ignoreErrors !== undefined) {
+    defaults.ignoreErrors = data.ignoreErrors;
+  }
+  if (data.routerTimeout !== undefined) {
+    defaults.routerTimeout = data.routerTimeout;
+  }
+  if (data.fetchTimeout !== undefined) {
+    defaults.fetchTimeoutMs = parseDuration(data.fetchTimeout);
+  }
+
+  return {
+    name: data.name,
+    description: data.description,
+    condition: data.condition ?? data.description,
+    errorPatterns: data.errorPatterns ?? ['routing', 'router'],
+    routers: data.routers.map(({ behavior }) => (behavior === OFFLINE ? null : behavior)),
+    networks: data.routers.map(({ network }) => network ?? null),
+    tls: data.routers.map(({ tls }) => tls ?? null),
+    providerNode: data.providerNode ? { content: data.providerNode.content ?? DEFAULT_PROVIDER_CONTENT } : null,
+    control: data.control ?? false,
+    methods: data.methods ?? {},
+    command: data.command ?? ['cat', '{cid}'],
+    defaults,
+    expect: data.expect
+      ? {
+        verdict: data.expect.verdict ?? null,
+        maxTimeToFailure: data.expect.maxTimeToFailure ?? null
+      }
+      : null,
+    source
+  };
+}
+
+function parseScenarioText(text, file) {
+  try {
+    return path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new ScenarioFileError(file, [`could not be parsed: ${error.message}`]);
+  }
+}
+
+function loadScenarioFile(file) {
+  if (!SCENARIO_EXTENSIONS.includes(path.extname(file))) {
+    throw new ScenarioFileError(file, [`unsupported extension, expected one of: ${SCENARIO_EXTENSIONS.join(', ')}`]);
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ScenarioFileError(file, [`could not be read: ${error.message}`]);
+  }
+
+  const data = parseScenarioText(text, file);
+  const problems = validateScenario(data);
+  if (problems.length > 0) {
+    throw new ScenarioFileError(file, problems);
+  }
+
+  return normalizeScenario(data, file);
+}
+
+// Loads every scenario file in a directory, keyed by scenario name
+function loadScenarioDirectory(directory) {
+  const scenarios = {};
+
+  const files = fs.readdirSync(directory)
+    .filter(file => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+    .sort();
+
+  for (const file of files) {
+    const scenario = loadScenarioFile(path.join(directory, file));
+    if (scenarios[scenario.name]) {
+      throw new ScenarioFileError(path.join(directory, file), [`duplicate scenario name '${scenario.name}' (also in ${scenarios[scenario.name].source})`]);
+    }
+    scenarios[scenario.name] = scenario;
+  }
+
+  return scenarios;
+}
+
+module.exports = {
+  PROVIDER_NODE,
+  ScenarioFileError,
+  validateScenario,
+  loadScenarioFile,
+  loadScenarioDirectory
+};
@@ -0,0 +1,258 @@
+const path = require('path');
+const { BEHAVIORS } = require('./mock-router');
+const { FAULTS, TLS_FAULTS } = require('./fault-proxy');
+const { TLS_MODES } = require('./certificates');
+const { PROVIDER_NODE, loadScenarioDirectory } = require('./scenario-loader');
+const { generatePeerId } = require('./provider-records');
+
+const SCENARIO_DIRECTORY = path.join(__dirname, '..', 'scenarios');
+
+// Commands for the routing methods other than find-providers, with the method
+// each one goes through. {peerid} is a PeerID nobody has published or announced.
+const ROUTING_METHOD_COMMANDS = {
+  'name-resolve': { method: 'get-ipns', command: ['name', 'resolve', '/ipns/{peerid}'] },
+  'name-publish': { method: 'put-ipns', command: ['name', 'publish', '--resolve=false', '/ipfs/{cid}'] },
+  'findpeer': { method: 'find-peers', command: ['routing', 'findpeer', '{peerid}'] }
+};
+
+// Router states the routing-methods scenario runs against by default
+const ROUTING_METHOD_STATES = ['offline', 'not-found', 'hang'];
+
+// Commands that announce content through the provide method. {input} is a file
+// of fresh content and {input-cid} the same content already in the repo, so the
+// announcement is always for a CID no router has seen before. `routing provide`
+// prints nothing when it works, which makes empty-result its success.
+const PROVIDE_COMMANDS = {
+  'add': { command: ['add', '-Q', '{input}'], success: 'succeeded' },
+  'routing-provide': { command: ['routing', 'provide', '{input-cid}'], success: 'empty-result' }
+};
+
+// Router states the delegated-provide scenario runs against by default; accept
+// is the `empty` behavior, the one that accepts every announcement
+const PROVIDE_STATES = ['accept', 'offline', 'http-500', 'hang'];
+
+// add is not about routing, so it should succeed whatever the routers do: a
+// hang or an error from it is the bug. A routing provide that reports success
+// passes only when a router accepted the records; announced but accepted by
+// none, it dropped them silently, and it cannot have succeeded without
+// announcing at all. Success is judged from the provide record, not the outcome.
+function provideOutcomeVerdicts(commandName, success) {
+  if (commandName === 'add') {
+    return { [success]: 'pass', 'hung': 'bug-confirmed', 'failed-with-error': 'bug-confirmed' };
+  }
+  return { [success]: ({ provide }) => (provide?.accepted ? 'pass' : 'bug-confirmed'), 'succeeded': 'bug-confirmed' };
+}
+
+// Router pairs in different states for the mixed-health scenario. null is an
+// offline router; provider-node answers with a second local node that has the
+// content, so the lookup can only fail because of the other router.
+const MIXED_HEALTH_ROUTERS = {
+  'offline+not-found': [null, 'not-found'],
+  'http-500+empty': ['http-500', 'empty'],
+  'hang+providers': ['hang', PROVIDER_NODE],
+  'offline+providers': [null, PROVIDER_NODE]
+};
+
+// With a working router in the mix, anything but getting the content means the
+// degraded router broke the whole lookup
+const WORKING_ROUTER_OUTCOME_VERDICTS = {
+  'succeeded': 'pass',
+  'failed-with-error': 'bug-confirmed',
+  'empty-result': 'bug-confirmed'
+};
+
+function describeRouterState(behavior) {
+  if (behavior === null) {
+    return 'offline';
+  }
+  return behavior === PROVIDER_NODE ? 'returning a reachable provider' : `answering with '${behavior}'`;
+}
+
+// Scenarios that are generated from options rather than described by a file
+const GENERATED_SCENARIOS = {
+  'failure-modes': {
+    description: 'One run per mock router behavior (--behavior, all by default), both routers behaving the same',
+    expand: (options) => {
+      const behaviors = options.behaviors?.length > 0 ? options.behaviors : Object.keys(BEHAVIORS);
+      return behaviors.map(behavior => ({
+        name: `failure-mode:${behavior}`,
+        description: `Both delegated routers answer provider queries with '${behavior}'`,
+        condition: `routers answer with '${behavior}'`,
+        errorPatterns: ['routing', 'router', 'not found'],
+        routers: [behavior, behavior],
+        providerNode: null,
+        control: false,
+        methods: {},
+        command: ['cat', '{cid}'],
+        defaults: {},
+        expect: null
+      }));
+    }
+  },
+  'routing-methods': {
+    description: 'ipfs name resolve, name publish and routing findpeer against offline, 404 and hanging routers (--behavior overrides the router states)',
+    expand: (options) => {
+      const states = options.behaviors?.length > 0 ? options.behaviors : ROUTING_METHOD_STATES;
+      const peerId = generatePeerId();
+      return Object.entries(ROUTING_METHOD_COMMANDS).flatMap(([commandName, { method, command }]) => states.map((state) => {
+        const behavior = state === 'offline' ? null : state;
+        return {
+          name: `routing-methods:${commandName}:${state}`,
+          description: `ipfs ${command.slice(0, 2).join(' ')} (${method}) with both delegated routers ${state === 'offline' ? 'offline' : `answering with '${state}'`}`,
+          condition: state === 'offline' ? `all ${method} routers are offline` : `${method} routers answer with '${state}'`,
+          errorPatterns: ['routing', 'router', 'not found', 'ipns'],
+          routers: [behavior, behavior],
+          providerNode: null,
+          control: false,
+          methods: { [method]: 'delegated' },
+          command: command.map(arg => arg.replace(/\{peerid\}/g, peerId)),
+          defaults: {},
+          expect: null
+        };
+      }));
+    }
+  },
+  'network-faults': {
+    description: 'One run per network fault between kubo and both routers, which answer with not-found (--behavior picks the HTTP behavior)',
+    expand: (options) => {
+      const behaviors = options.behaviors?.length > 0 ? options.behaviors : ['not-found'];
+      return Object.keys(FAULTS).flatMap(fault => behaviors.map(behavior => ({
+        name: `network-faults:${fault}:${behavior}`,
+        description: `Both delegated routers answer with '${behavior}' behind a '${fault}' network fault`,
+        condition: `the connections to the routers suffer '${fault}' and the routers answer with '${behavior}'`,
+        errorPatterns: ['routing', 'router', 'not found'],
+        routers: [behavior, behavior],
+        networks: [fault, fault],
+        // The TLS faults stall a handshake, so their routers serve HTTPS
+        tls: TLS_FAULTS.includes(fault) ? ['trusted', 'trusted'] : null,
+        providerNode: null,
+        control: false,
+        methods: {},
+        command: ['cat', '{cid}'],
+        defaults: {},
+        expect: null
+      })));
+    }
+  },
+  'tls-failures': {
+    description: 'One run per router certificate (trusted, self-signed, expired, wrong hostname), both HTTPS routers answering not-found (--behavior picks the HTTP behavior)',
+    expand: (options) => {
+      const behaviors = options.behaviors?.length > 0 ? options.behaviors : ['not-found'];
+      return Object.keys(TLS_MODES).flatMap(mode => behaviors.map(behavior => ({
+        name: `tls-failures:${mode}:${behavior}`,
+        description: `Both delegated routers serve HTTPS with a certificate ${TLS_MODES[mode].description} and answer with '${behavior}'`,
+        condition: mode === 'trusted' ? `the HTTPS routers answer with '${behavior}'` : `the HTTPS routers' certificate is ${TLS_MODES[mode].description}`,
+        errorPatterns: ['routing', 'router', 'not found', 'certificate', 'tls', 'x509'],
+        routers: [behavior, behavior],
+        tls: [mode, mode],
+        providerNode: null,
+        control: false,
+        methods: {},
+        command: ['cat', '{cid}'],
+        defaults: {},
+        expect: null
+      })));
+    }
+  },
+  'mixed-health': {
+    description: 'HttpRoutersParallel with one degraded router next to a 404, empty, or working one, with and without IgnoreErrors',
+    expand: () => Object.entries(MIXED_HEALTH_ROUTERS).flatMap(([pair, routers]) => [true, false].map((ignoreErrors) => {
+      const working = routers.includes(PROVIDER_NODE);
+      const states = routers.map((behavior, index) => `router ${index + 1} ${describeRouterState(behavior)}`).join(', ');
+      return {
+        name: `mixed-health:${pair}:ignoreErrors=${ignoreErrors}`,
+        description: `Parallel delegated routers in different states (${states}), IgnoreErrors ${ignoreErrors}`,
+        condition: states,
+        errorPatterns: ['routing', 'router', 'not found'],
+        routers,
+        providerNode: working ? { content: `kubo-router-repro mixed-health ${pair}\n` } : null,
+        control: false,
+        methods: {},
+        command: ['cat', '{cid}'],
+        defaults: { ignoreErrors, routerType: 'parallel' },
+        expect: null,
+        outcomeVerdicts: working ? WORKING_ROUTER_OUTCOME_VERDICTS : null
+      };
+    }))
+  },
+  'delegated-provide': {
+    description: 'ipfs add and ipfs routing provide against accepting, offline, failing and hanging provide routers (--behavior overrides the router states)',
+    expand: (options) => {
+      const states = options.behaviors?.length > 0 ? options.behaviors : PROVIDE_STATES;
+      return Object.entries(PROVIDE_COMMANDS).flatMap(([commandName, { command, success }]) => states.map((state) => {
+        const behavior = state === 'offline' ? null : (state === 'accept' ? 'empty' : state);
+        const accepting = behavior === 'empty';
+        return {
+          name: `delegated-provide:${commandName}:${state}`,
+          description: `ipfs ${command.slice(0, 2).join(' ')} with both provide routers ${accepting ? 'accepting announcements' : state === 'offline' ? 'offline' : `answering with '${state}'`}`,
+          condition: accepting ? 'the provide routers accept announcements' : state === 'offline' ? 'all provide routers are offline' : `provide routers answer with '${state}'`,
+          errorPatterns: ['routing', 'router', 'provide'],
+          routers: [behavior, behavior],
+          providerNode: null,
+          control: accepting,
+          methods: { 'provide': 'delegated' },
+          command,
+          defaults: {},
+          expect: null,
+          outcomeVerdicts: accepting ? { [success]: 'pass' } : provideOutcomeVerdicts(commandName, success)
+        };
+      }));
+    }
+  }
+};
+
+// Side by side, per router pair, what the parallel router made of it with and
+// without IgnoreErrors
+function printMixedHealthSummary(results) {
+  const rows = [];
+  for (const result of results) {
+    const match = /^mixed-health:([^:]+):/.exec(result.scenario);
+    if (!match) {
+      continue;
+    }
+    rows.push({
+      routers: match[1],
+      ignoreErrors: result.parameters?.ignoreErrors,
+      outcome: result.outcome,
+      verdict: result.verdict,
+      elapsedMs: result.elapsedMs,
+      routingQueries: result.routerRequests?.combined.routingRequests ?? 0
+    });
+  }
+
+  if (rows.length > 0) {
+    console.log('\n=== MIXED HEALTH SUMMARY ===');
+    console.table(rows);
+  }
+}
+
+// Every scenario by name: the files in scenarios/ plus the generated ones. Loaded
+// on demand so a broken scenario file does not break `--help`.
+function getScenarios() {
+  return {
+    ...loadScenarioDirectory(SCENARIO_DIRECTORY),
+    ...GENERATED_SCENARIOS
+  };
+}
+
+// Resolves a scenario (name or loaded definition) into the concrete runs it stands for
+function expandScenario(scenario, options) {
+  if (typeof scenario === 'string') {
+    const scenarios = getScenarios();
+    if (!scenarios[scenario]) {
+      throw new Error(`Unknown scenario '${scenario}', expected one of: ${Object.keys(scenarios).join(', ')}`);
+    }
+    scenario = { name: scenario, ...scenarios[scenario] };
+  }
+  if (scenario.expand) {
+    return scenario.expand(options);
+  }
+  return [scenario];
+}
+
+module.exports = {
+  SCENARIO_DIRECTORY,
+  getScenarios,
+  expandScenario,
+  printMixedHealthSummary
+};
@@ -0,0 +1,118 @@
+// Everything a run starts that must not outlive the process: daemons, fetch
+// clients, mock servers, fault proxies and temporary repos. Whoever starts
+// something registers how to tear it down and unregisters once it has done so
+// itself; runTeardown() handles the rest on every other way out (signals,
+// uncaught exceptions, a teardown that hangs).
+const TEARDOWN_TASK_TIMEOUT_MS = 15000;
+
+const tasks = new Map();
+let nextTaskId = 0;
+let tearingDown = null;
+
+// Child processes are spawned detached, so each one leads its own process
+// group and whatever it starts goes down with it
+const children = new Set();
+
+// Registers an async teardown task and returns the function that unregisters it
+function registerTeardown(description, teardown) {
+  const id = nextTaskId++;
+  tasks.set(id, { description, teardown });
+  return () => tasks.delete(id);
+}
+
+function trackChild(child) {
+  children.add(child);
+  child.on('exit', () => children.delete(child));
+  return child;
+}
+
+function killProcessGroup(child, signal) {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // Not a group leader (or already gone): the child alone, then
+    try {
+      child.kill(signal);
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+function withTimeout(promise, ms, description) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      console.log(`⚠️  Teardown of ${description} did not finish within ${ms / 1000}s, moving on`);
+      resolve();
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs every registered task, newest first, then SIGKILLs any process group
+// still alive. Safe to call more than once: later calls wait for the first.
+function runTeardown(reason = null) {
+  if (!tearingDown) {
+    tearingDown = (async () => {
+      if (tasks.size > 0 || children.size > 0) {
+        console.log(`\nCleaning up${reason ? ` (${reason})` : ''}...`);
+      }
+      for (const [id, { description, teardown }] of [...tasks.entries()].reverse()) {
+        tasks.delete(id);
+        await withTimeout(
+          Promise.resolve().then(teardown).catch(error => console.log(`⚠️  Teardown of ${description} failed: ${error.message}`)),
+          TEARDOWN_TASK_TIMEOUT_MS,
+          description
+        );
+      }
+      killRemainingChildren();
+    })();
+  }
+  return tearingDown;
+}
+
+function killRemainingChildren() {
+  for (const child of children) {
+    killProcessGroup(child, 'SIGKILL');
+  }
+}
+
+// Makes signals and uncaught errors go through runTeardown() before the process
+// exits with exitCode. A second signal skips the async tasks and kills the
+// remaining process groups right away. 'exit' is the last resort for paths
+// that call process.exit() directly: only synchronous work is possible there.
+function installTeardownHandlers({ exitCode = 1 } = {}) {
+  const teardownAndExit = (reason) => {
+    if (tearingDown) {
+      console.log(`\nReceived ${reason} again, killing what is left`);
+      killRemainingChildren();
+      process.exit(exitCode);
+    }
+    runTeardown(reason).then(() => process.exit(exitCode));
+  };
+
+  process.on('SIGINT', () => teardownAndExit('SIGINT'));
+  process.on('SIGTERM', () => teardownAndExit('SIGTERM'));
+  process.on('SIGHUP', () => teardownAndExit('SIGHUP'));
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught exception:', error);
+    teardownAndExit('uncaught exception');
+  });
+  process.on('unhandledRejection', (error) => {
+    console.error('Unhandled rejection:', error);
+    teardownAndExit('unhandled rejection');
+  });
+  process.on('exit', killRemainingChildren);
+}
+
+module.exports = {
+  registerTeardown,
+  trackChild,
+  killProcessGroup,
+  runTeardown,
+  installTeardownHandlers
+};
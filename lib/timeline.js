@@ -0,0 +1,153 @@
+const fs = require('fs');
+
+// Most events printed per scenario; with --keep-repo the full timeline is also
+// written to the run's repo
+const MAX_PRINTED_EVENTS = 200;
+const MAX_FIELDS_LENGTH = 160;
+// A daemon that logged nothing for this long before the client gave up was
+// waiting, rather than still working, when it did
+const QUIET_MS = 1000;
+
+function describeFields(fields) {
+  const text = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return text.length > MAX_FIELDS_LENGTH ? `${text.slice(0, MAX_FIELDS_LENGTH)}...` : text;
+}
+
+function clientEvents(fetchResult) {
+  const events = [{ at: fetchResult.startedAt, source: 'client', text: `${fetchResult.command} started` }];
+  if (fetchResult.http?.ttfbMs !== null && fetchResult.http?.ttfbMs !== undefined) {
+    events.push({ at: fetchResult.startedAt + fetchResult.http.ttfbMs, source: 'client', text: `HTTP ${fetchResult.http.status} received` });
+  }
+  if (fetchResult.endedAt !== null) {
+    const text = fetchResult.timedOut
+      ? `gave up after ${fetchResult.elapsedMs}ms (timed out)`
+      : `finished with exit code ${fetchResult.exitCode} after ${fetchResult.elapsedMs}ms`;
+    events.push({ at: fetchResult.endedAt, source: 'client', text });
+  }
+  return events;
+}
+
+function routerEvents(routers) {
+  return routers.flatMap(router => router.requests.flatMap((request) => {
+    const events = [{
+      at: request.at,
+      source: 'router',
+      text: `${request.router}: ${request.method} ${request.url}${request.behavior ? ` (${request.behavior})` : ''}`
+    }];
+    if (request.closedAt !== null) {
+      const answer = request.status === null ? 'closed without an answer' : `answered ${request.status}`;
+      const failure = request.error === null || request.error === undefined ? '' : ` (behavior failed: ${request.error})`;
+      const lines = request.streamedLines === null ? '' : `, ${request.streamedLines} NDJSON line(s)`;
+      events.push({ at: request.closedAt, source: 'router', text: `${request.router}: ${answer}${lines}${failure}` });
+    }
+    return events;
+  }));
+}
+
+function daemonEvents(daemonLog) {
+  return daemonLog.map(({ at, level, logger, msg, fields }) => {
+    const details = describeFields(fields);
+    return {
+      at,
+      source: 'kubo',
+      logger,
+      text: `${logger} ${level}: ${msg}${details ? ` ${details}` : ''}`
+    };
+  });
+}
+
+// One ordered list of what the client did, what the mock routers were asked and
+// answered, and what kubo logged, so a hang can be placed inside kubo: the last
+// thing it logged before going quiet is where the fetch is stuck. Events are
+// { at, source (client, router or kubo), text }.
+function buildTimeline({ fetchResult, routers = [], daemonLog = [] }) {
+  return [
+    ...clientEvents(fetchResult),
+    ...routerEvents(routers),
+    ...daemonEvents(daemonLog)
+  ].sort((a, b) => a.at - b.at);
+}
+
+// Where the daemon went quiet: its last log entry before the client gave up and
+// how long nothing was logged after it
+function summarizeTimeline(timeline, fetchResult) {
+  const kuboEvents = timeline.filter(({ source }) => source === 'kubo');
+  const bySubsystem = {};
+  for (const { logger } of kuboEvents) {
+    bySubsystem[logger] = (bySubsystem[logger] || 0) + 1;
+  }
+
+  const endedAt = fetchResult.endedAt ?? Date.now();
+  const during = kuboEvents.filter(({ at }) => at >= fetchResult.startedAt && at <= endedAt);
+  const last = during[during.length - 1] ?? null;
+
+  return {
+    events: timeline.length,
+    daemonLogEntries: kuboEvents.length,
+    daemonLogEntriesDuringFetch: during.length,
+    bySubsystem,
+    lastDaemonEvent: last ? { offsetMs: last.at - fetchResult.startedAt, text: last.text } : null,
+    daemonSilentForMs: last ? endedAt - last.at : null
+  };
+}
+
+// Consecutive kubo events with the same text are printed once with a count:
+// bitswap in particular repeats itself while it waits
+function collapseRepeats(timeline) {
+  const collapsed = [];
+  for (const event of timeline) {
+    const previous = collapsed[collapsed.length - 1];
+    if (previous && event.source === 'kubo' && previous.source === 'kubo' && previous.text === event.text) {
+      previous.repeats++;
+    } else {
+      collapsed.push({ ...event, repeats: 1 });
+    }
+  }
+  return collapsed;
+}
+
+function formatOffset(ms) {
+  return `${ms >= 0 ? '+' : '-'}${Math.abs(ms)}ms`.padStart(9);
+}
+
+function printTimeline(timeline, summary, fetchResult, { file = null } = {}) {
+  console.log('\n=== EVENT TIMELINE ===');
+  console.log('Offsets are relative to the client starting; [kubo] lines are the daemon\'s own debug logs');
+
+  const collapsed = collapseRepeats(timeline);
+  for (const { at, source, text, repeats } of collapsed.slice(0, MAX_PRINTED_EVENTS)) {
+    console.log(`${formatOffset(at - fetchResult.startedAt)} [${source}] ${text}${repeats > 1 ? ` (x${repeats})` : ''}`);
+  }
+  if (collapsed.length > MAX_PRINTED_EVENTS) {
+    console.log(`... ${collapsed.length - MAX_PRINTED_EVENTS} more event(s), ${file ? `see ${file}` : 'run with --keep-repo to keep the full timeline'}`);
+  } else if (file) {
+    console.log(`Full timeline: ${file}`);
+  }
+
+  if (summary.daemonLogEntries === 0) {
+    console.log('⚠️  The daemon logged nothing from the routing and bitswap subsystems (does this kubo honor GOLOG_LOG_FMT=json?)');
+  } else if (summary.lastDaemonEvent === null) {
+    console.log('⚠️  The daemon logged nothing while the client was waiting');
+  } else {
+    console.log(`Last daemon log before the client ${fetchResult.timedOut ? 'gave up' : 'finished'}: ${formatOffset(summary.lastDaemonEvent.offsetMs).trim()} ${summary.lastDaemonEvent.text}`);
+    if (fetchResult.timedOut && summary.daemonSilentForMs >= QUIET_MS) {
+      console.log(`⚠️  Nothing was logged for the last ${summary.daemonSilentForMs}ms of the fetch: kubo is stuck waiting after that step`);
+    } else if (fetchResult.timedOut) {
+      console.log(`Kubo was still logging when the client gave up (${summary.daemonSilentForMs}ms after its last entry)`);
+    }
+  }
+}
+
+function writeTimeline(timeline, file) {
+  fs.writeFileSync(file, `${timeline.map(event => JSON.stringify(event)).join('\n')}\n`);
+  return file;
+}
+
+module.exports = {
+  buildTimeline,
+  summarizeTimeline,
+  printTimeline,
+  writeTimeline
+};
@@ -0,0 +1,87 @@
+const { performance } = require('perf_hooks');
+const { parseDuration } = require('./utils');
+
+// How long a failing command may take to fail before it counts as failing
+// slowly. Scenarios without a budget of their own get one router Timeout for
+// kubo to give up on the routers plus one for everything else.
+const DEFAULT_TIME_TO_FAILURE_BUDGET = '2x routerTimeout';
+const ROUTER_TIMEOUT_MULTIPLE = /^(\d+(?:\.\d+)?)\s*x\s*routerTimeout$/;
+
+// A budget is a duration (10s) or a multiple of the run's router Timeout
+// (2x routerTimeout), so the same scenario scales across matrix cells
+function parseBudget(spec) {
+  const match = ROUTER_TIMEOUT_MULTIPLE.exec(String(spec).trim());
+  if (match) {
+    return { routerTimeouts: parseFloat(match[1]) };
+  }
+  try {
+    return { ms: parseDuration(spec) };
+  } catch {
+    throw new Error(`Invalid time-to-failure budget '${spec}', expected a duration like 10s or a multiple like 2x routerTimeout`);
+  }
+}
+
+// { spec, maxMs } for one run
+function resolveBudget(spec, { routerTimeout }) {
+  const budget = parseBudget(spec);
+  const maxMs = budget.ms ?? budget.routerTimeouts * parseDuration(routerTimeout);
+  return { spec: String(spec), maxMs };
+}
+
+function describeBudget({ spec, maxMs }) {
+  return /routerTimeout/.test(spec) ? `${maxMs}ms (${spec})` : `${maxMs}ms`;
+}
+
+// Milliseconds since a performance.now() reading, to a tenth
+function msSince(startHr, nowHr = performance.now()) {
+  return Math.round((nowHr - startHr) * 10) / 10;
+}
+
+// The phases of one fetch, in milliseconds since it started: the client
+// process spawned (CLI commands only), the first and last routing query a mock
+// router got before the client ended, the first byte the client wrote (or
+// received, for HTTP requests) and the client ending
+function measurePhases(fetchResult, routers) {
+  const { startedHr, timings } = fetchResult;
+  const endHr = timings.exitMs === null ? Infinity : startedHr + timings.exitMs;
+  const routingRequests = routers
+    .flatMap(router => router.requests)
+    .filter(({ kind, hrAt }) => kind !== 'other' && hrAt >= startedHr && hrAt <= endHr)
+    .sort((a, b) => a.hrAt - b.hrAt);
+
+  return {
+    spawnMs: timings.spawnMs,
+    firstRouterRequestMs: routingRequests.length > 0 ? msSince(startedHr, routingRequests[0].hrAt) : null,
+    lastRouterRequestMs: routingRequests.length > 0 ? msSince(startedHr, routingRequests[routingRequests.length - 1].hrAt) : null,
+    firstStdoutMs: timings.firstStdoutMs,
+    firstStderrMs: timings.firstStderrMs,
+    exitMs: timings.exitMs
+  };
+}
+
+function printPhases(phases, fetchResult, budget) {
+  const rows = [
+    ...(phases.spawnMs !== null ? [['Client spawned', phases.spawnMs]] : []),
+    ['First router request', phases.firstRouterRequestMs],
+    ['Last router request', phases.lastRouterRequestMs],
+    [fetchResult.http ? 'First response byte' : 'First stdout byte', phases.firstStdoutMs],
+    ...(fetchResult.http ? [] : [['First stderr byte', phases.firstStderrMs]]),
+    [fetchResult.timedOut ? 'Client gave up' : 'Client finished', phases.exitMs]
+  ];
+
+  console.log('\n=== PHASE TIMINGS ===');
+  for (const [label, ms] of rows) {
+    console.log(`${`${label}:`.padEnd(24)}${ms === null ? '-' : `${ms}ms`}`);
+  }
+  console.log(`${'Time-to-failure budget:'.padEnd(24)}${describeBudget(budget)}`);
+}
+
+module.exports = {
+  DEFAULT_TIME_TO_FAILURE_BUDGET,
+  parseBudget,
+  resolveBudget,
+  describeBudget,
+  msSince,
+  measurePhases,
+  printPhases
+};
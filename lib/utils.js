@@ -0,0 +1,136 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const { trackChild } = require('./teardown');
+
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function checkPortFree(port, host = '127.0.0.1') {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+
+    server.listen(port, host, () => {
+      server.close(() => {
+        resolve(true);
+      });
+    });
+
+    server.on('error', () => {
+      resolve(false);
+    });
+  });
+}
+
+// Ports handed out by allocatePorts and not released yet. Concurrent scenarios
+// in this process never get the same port, including ports that are reserved
+// to stay closed (nothing in this process listens on them). The reservation
+// only holds within this process: the OS listener is closed right away (Node
+// cannot hold a port bound without listening on it), so another process, such
+// as a second harness, can still bind one of these ports before kubo dials it.
+const allocatedPorts = new Set();
+
+async function findFreePort(host = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, host, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Asks the OS for count free ports and reserves them until releasePorts
+async function allocatePorts(count, host = '127.0.0.1') {
+  const ports = [];
+  while (ports.length < count) {
+    const port = await findFreePort(host);
+    if (!allocatedPorts.has(port)) {
+      allocatedPorts.add(port);
+      ports.push(port);
+    }
+  }
+  return ports;
+}
+
+function releasePorts(ports) {
+  for (const port of ports) {
+    allocatedPorts.delete(port);
+  }
+}
+
+// requiredPorts: [{ port, description }]
+async function checkRequiredPorts(requiredPorts) {
+  console.log('Checking required ports...');
+
+  for (const { port, description } of requiredPorts) {
+    const isFree = await checkPortFree(port);
+
+    if (!isFree) {
+      console.log(`❌ Port ${port} (${description}) is occupied`);
+      console.log(`   Please stop any IPFS daemon or service using port ${port}`);
+      return false;
+    }
+    console.log(`✅ Port ${port} (${description}) is free`);
+  }
+
+  console.log('All required ports are available\n');
+  return true;
+}
+
+// options are passed to spawn, except input, which is written to stdin
+async function runCommand(command, args, { input, ...options } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = trackChild(spawn(command, args, options));
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout?.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.stderr?.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('exit', (code) => {
+      resolve({ code, stdout, stderr });
+    });
+
+    child.on('error', (error) => {
+      reject(error);
+    });
+
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// Parses Go-style durations as used in the kubo config ("500ms", "5s", "1m30s")
+// into milliseconds
+function parseDuration(value) {
+  const text = String(value).trim();
+  if (!/^(\d+(\.\d+)?(ms|s|m|h))+$/.test(text)) {
+    throw new Error(`Invalid duration '${value}', expected something like 500ms, 5s or 1m30s`);
+  }
+
+  let total = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    total += parseFloat(amount) * DURATION_UNITS_MS[unit];
+  }
+  return total;
+}
+
+module.exports = {
+  sleep,
+  parseDuration,
+  checkPortFree,
+  checkRequiredPorts,
+  allocatePorts,
+  releasePorts,
+  runCommand
+};
@@ -0,0 +1,58 @@
+const assert = require('assert/strict');
+const { X509Certificate } = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const tls = require('tls');
+const { TLS_MODES, routerCertificate, writeCaFile } = require('../lib/certificates');
+
+function localCa() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kubo-router-repro-test-'));
+  try {
+    return fs.readFileSync(writeCaFile(path.join(directory, 'ca.pem')), 'utf8');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+// Serves the mode's certificate and resolves to the error code a client that
+// trusts the local CA gets for it, or null when the handshake is accepted
+async function handshake(mode, ca) {
+  const server = tls.createServer(routerCertificate(mode), socket => socket.end());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await new Promise((resolve) => {
+      const socket = tls.connect({ port: server.address().port, host: '127.0.0.1', ca }, () => {
+        socket.destroy();
+        resolve(null);
+      });
+      socket.on('error', error => resolve(error.code));
+    });
+  } finally {
+    server.close();
+  }
+}
+
+test('the local CA is a CA and signs every mode but self-signed', () => {
+  const ca = new X509Certificate(localCa());
+  assert.ok(ca.ca);
+  for (const mode of Object.keys(TLS_MODES)) {
+    const cert = new X509Certificate(routerCertificate(mode).cert);
+    assert.equal(cert.verify(ca.publicKey), mode !== 'self-signed', mode);
+    assert.equal(cert.ca, false, mode);
+  }
+});
+
+test('each mode has exactly one thing wrong with it', async () => {
+  const ca = localCa();
+  assert.equal(await handshake('trusted', ca), null);
+  assert.equal(await handshake('self-signed', ca), 'DEPTH_ZERO_SELF_SIGNED_CERT');
+  assert.equal(await handshake('expired', ca), 'CERT_HAS_EXPIRED');
+  assert.equal(await handshake('wrong-hostname', ca), 'ERR_TLS_CERT_ALTNAME_INVALID');
+});
+
+test('certificates are made once per mode and unknown modes are rejected', () => {
+  assert.equal(routerCertificate('trusted'), routerCertificate('trusted'));
+  assert.throws(() => routerCertificate('revoked'), /Unknown TLS mode 'revoked'/);
+});
@@ -0,0 +1,22 @@
+const assert = require('assert/strict');
+const test = require('node:test');
+const { multihashOf, sameContent, includesCid } = require('../lib/cids');
+
+const V0 = 'QmbWqxBEKC3P8tqsKc98xmWNzrzDtRLMiMPL8wBuTGsMnR';
+const V1 = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+
+test('a CIDv0 and its CIDv1 have the same multihash', () => {
+  assert.equal(multihashOf(V0), '1220c3c4733ec8affd06cf9e9ff50ffc6bcd2ec85a6170004bb709669c31de94391a');
+  assert.equal(multihashOf(V1), multihashOf(V0));
+  assert.equal(multihashOf(`f01701220${multihashOf(V0).slice(4)}`), multihashOf(V0));
+  assert.ok(sameContent(V1, V0));
+  assert.ok(!sameContent(V1, 'QmYjtig7VJQ6XsnUjqqJvj7QaMcCAwtrgNdahSiFofrE7o'));
+});
+
+test('strings that are not CIDs are compared as they are', () => {
+  assert.equal(multihashOf('QmAccepted'), null);
+  assert.equal(multihashOf('bnot-base32!'), null);
+  assert.ok(sameContent('QmAccepted', 'QmAccepted'));
+  assert.ok(includesCid(['QmRejected', V1], V0));
+  assert.ok(!includesCid(['QmRejected'], V0));
+});
@@ -0,0 +1,76 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { DaemonError, DaemonProcess } = require('../lib/daemon-process');
+const { allocatePorts, releasePorts } = require('../lib/utils');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kubo-router-repro-test-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Writes an executable stand-in for `ipfs` that runs body when called as `ipfs daemon`
+function fakeKubo(name, body) {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, `#!${process.execPath}\n${body}\n`, { mode: 0o755 });
+  return file;
+}
+
+function daemon(kuboPath, options = {}) {
+  return new DaemonProcess({ kuboPath, env: process.env, apiUrl: 'http://127.0.0.1:1', startupTimeoutMs: 5000, ...options });
+}
+
+async function startupError(daemonProcess) {
+  const error = await daemonProcess.start().then(() => null, error => error);
+  assert.ok(error instanceof DaemonError, `expected a DaemonError, got ${error}`);
+  return error;
+}
+
+test('a locked repo is recognized in the output', async () => {
+  const error = await startupError(daemon(fakeKubo('locked', `
+    console.error('Error: someone else has the lock');
+    setInterval(() => {}, 1000);
+  `)));
+  assert.equal(error.reason, 'repo-locked');
+  assert.match(error.message, /repo is locked/);
+  assert.deepEqual(error.lastLines, ['Error: someone else has the lock']);
+});
+
+test('a daemon that exits before it is ready crashed, with its exit code and last lines', async () => {
+  const error = await startupError(daemon(fakeKubo('crashes', `
+    console.log('Initializing daemon...');
+    console.error('panic: boom');
+    process.exit(3);
+  `)));
+  assert.equal(error.reason, 'crashed');
+  assert.equal(error.exitCode, 3);
+  assert.match(error.message, /exited with code 3 before it was ready\nLast daemon output:\n {2}Initializing daemon\.\.\.\n {2}panic: boom$/);
+});
+
+test('a missing binary and a daemon that never gets ready are told apart', async () => {
+  assert.equal((await startupError(daemon(path.join(directory, 'missing')))).reason, 'spawn-failed');
+
+  const error = await startupError(daemon(fakeKubo('silent', 'setInterval(() => {}, 1000);'), { startupTimeoutMs: 500 }));
+  assert.equal(error.reason, 'startup-timeout');
+  assert.match(error.message, /never printed "Daemon is ready"/);
+});
+
+test('a daemon that goes away after it was ready fails checkAlive', async () => {
+  const [apiPort] = await allocatePorts(1);
+  const daemonProcess = daemon(fakeKubo('ready', `
+    require('http').createServer((req, res) => res.end(JSON.stringify({ ID: '12D3KooWTest' })))
+      .listen(${apiPort}, '127.0.0.1', () => console.log('Daemon is ready'));
+  `), { apiUrl: `http://127.0.0.1:${apiPort}` });
+  try {
+    await daemonProcess.start();
+    assert.ok(daemonProcess.ready);
+    assert.doesNotThrow(() => daemonProcess.checkAlive());
+
+    process.kill(daemonProcess.child.pid, 'SIGKILL');
+    await new Promise(resolve => daemonProcess.child.once('exit', resolve));
+    assert.throws(() => daemonProcess.checkAlive(), error => error.reason === 'crashed' && error.signal === 'SIGKILL');
+  } finally {
+    await daemonProcess.stop();
+    releasePorts([apiPort]);
+  }
+});
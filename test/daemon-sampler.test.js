@@ -0,0 +1,55 @@
+const assert = require('assert/strict');
+const http = require('http');
+const test = require('node:test');
+const { DaemonSampler, summarizeSamples } = require('../lib/daemon-sampler');
+
+function sample(overrides = {}) {
+  return {
+    offsetMs: 2000,
+    wantlist: [],
+    cidWanted: false,
+    bitswapPartners: 0,
+    blocksReceived: 0,
+    swarmPeers: 0,
+    routingQueries: 0,
+    openRoutingQueries: 0,
+    errors: {},
+    ...overrides
+  };
+}
+
+test('the state comes from the last sample that got an answer', () => {
+  const wanted = sample({ wantlist: ['bafy'], cidWanted: true });
+  assert.equal(summarizeSamples([], 'Qm').state, 'no-samples');
+  assert.equal(summarizeSamples([sample({ cidWanted: null, wantlist: null, errors: { 'bitswap wantlist': 'timeout' } })], 'Qm').state, 'api-unresponsive');
+  assert.equal(summarizeSamples([wanted], 'Qm').state, 'stuck-in-wantlist');
+  assert.equal(summarizeSamples([wanted, sample({ ...wanted, swarmPeers: 3 })], 'Qm').state, 'wanted-with-peers');
+  assert.equal(summarizeSamples([sample({ ...wanted, swarmPeers: null })], 'Qm').state, 'wanted');
+  assert.equal(summarizeSamples([wanted, sample()], 'Qm').state, 'not-wanted');
+
+  const summary = summarizeSamples([wanted, sample({ cidWanted: null, wantlist: null, routingQueries: 4, errors: { 'bitswap wantlist': 'HTTP 500' } })], 'Qm');
+  assert.equal(summary.state, 'stuck-in-wantlist');
+  assert.equal(summary.failedSamples, 1);
+  assert.equal(summary.routingQueries, 4);
+});
+
+test('a CIDv0 fetch is found among CIDv1 wantlist keys', async (t) => {
+  const server = http.createServer((req, res) => {
+    const answers = {
+      '/api/v0/bitswap/wantlist': { Keys: [{ '/': 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi' }] },
+      '/api/v0/stats/bitswap': { Peers: [], BlocksReceived: 0 },
+      '/api/v0/swarm/peers': { Peers: null }
+    };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(answers[req.url]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const sampler = new DaemonSampler({ apiUrl: `http://127.0.0.1:${server.address().port}`, cid: 'QmbWqxBEKC3P8tqsKc98xmWNzrzDtRLMiMPL8wBuTGsMnR' });
+  sampler.startedAt = Date.now();
+  const result = await sampler.sample();
+  assert.equal(result.cidWanted, true);
+  assert.equal(result.swarmPeers, 0);
+  assert.deepEqual(result.errors, {});
+});
@@ -0,0 +1,111 @@
+const assert = require('assert/strict');
+const net = require('net');
+const test = require('node:test');
+const tls = require('tls');
+const { FaultProxy } = require('../lib/fault-proxy');
+const { routerCertificate } = require('../lib/certificates');
+const { allocatePorts, releasePorts } = require('../lib/utils');
+
+const RESPONSE = 'HTTP/1.1 404 Not Found\r\nContent-Length: 0\r\n\r\n';
+
+// A router that answers every chunk it reads with RESPONSE, and a fault proxy in
+// front of it; resolves to whatever fn resolves to once both are stopped
+async function withProxy(fault, fn, { server = net.createServer(socket => socket.on('data', () => socket.end(RESPONSE))) } = {}) {
+  const [port, targetPort] = await allocatePorts(2);
+  const proxy = new FaultProxy({ port, targetPort, fault });
+  await new Promise(resolve => server.listen(targetPort, '127.0.0.1', resolve));
+  await proxy.start();
+  try {
+    return await fn(port, proxy);
+  } finally {
+    await proxy.stop();
+    server.close();
+    releasePorts([port, targetPort]);
+  }
+}
+
+// Sends a request through port and collects what comes back within waitMs
+function exchange(port, waitMs = 1000) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let error = null;
+    const socket = net.connect(port, '127.0.0.1', () => socket.write('GET / HTTP/1.1\r\n\r\n'));
+    const done = (closed) => {
+      clearTimeout(timer);
+      socket.destroy();
+      resolve({ data: Buffer.concat(chunks).toString(), chunks: chunks.length, closed, error });
+    };
+    const timer = setTimeout(() => done(false), waitMs);
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('error', (socketError) => {
+      error = socketError.code;
+    });
+    socket.on('close', () => done(true));
+  });
+}
+
+test('pass-through hands the router answer back unchanged', async () => {
+  const { data, closed } = await withProxy('pass-through', port => exchange(port));
+  assert.equal(data, RESPONSE);
+  assert.ok(closed);
+});
+
+test('blackhole accepts the connection and never answers or closes it', async () => {
+  await withProxy('blackhole', async (port, proxy) => {
+    const { data, closed } = await exchange(port, 300);
+    assert.equal(data, '');
+    assert.equal(closed, false);
+    assert.equal(proxy.connections.length, 1);
+  });
+});
+
+test('delayed-accept answers once its delay is over', async () => {
+  const startedAt = Date.now();
+  const { data } = await withProxy({ name: 'delayed-accept', delayMs: 200 }, port => exchange(port));
+  assert.equal(data, RESPONSE);
+  assert.ok(Date.now() - startedAt >= 200);
+});
+
+test('drip-feed hands the answer back a few bytes at a time', async () => {
+  const { data, chunks } = await withProxy({ name: 'drip-feed', bytes: 16, intervalMs: 5 }, port => exchange(port));
+  assert.equal(data, RESPONSE);
+  assert.equal(chunks, Math.ceil(RESPONSE.length / 16));
+});
+
+// Whether the client sees ECONNRESET or a plain close depends on the network
+// stack (some sandboxes never send the RST), so only the cut is checked
+test('reset cuts the connection after afterBytes of the answer', async () => {
+  const { data, closed } = await withProxy({ name: 'reset', afterBytes: 8 }, port => exchange(port));
+  assert.equal(data, RESPONSE.slice(0, 8));
+  assert.ok(closed);
+});
+
+test('tls-stall lets the handshake start and never finish', async () => {
+  const server = tls.createServer(routerCertificate('self-signed'), socket => socket.end());
+  // TLS over a plain socket, which counts the raw bytes that came back
+  const handshake = port => new Promise((resolve) => {
+    const raw = net.connect(port, '127.0.0.1');
+    const socket = tls.connect({ socket: raw, rejectUnauthorized: false }, () => {
+      socket.destroy();
+      resolve('completed');
+    });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      resolve(`stalled after ${raw.bytesRead} bytes`);
+    }, 500);
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      resolve(error.code);
+    });
+  });
+
+  assert.equal(await withProxy('pass-through', handshake, { server }), 'completed');
+  const stalled = await withProxy('tls-stall', handshake, { server: tls.createServer(routerCertificate('self-signed'), socket => socket.end()) });
+  assert.match(stalled, /^stalled after [1-9]\d* bytes/);
+  const blackholed = await withProxy('blackhole', handshake, { server: tls.createServer(routerCertificate('self-signed'), socket => socket.end()) });
+  assert.equal(blackholed, 'stalled after 0 bytes');
+});
+
+test('unknown faults are rejected', () => {
+  assert.throws(() => new FaultProxy({ port: 1, targetPort: 2, fault: 'syn-drop' }), /Unknown network fault 'syn-drop'/);
+});
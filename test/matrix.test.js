@@ -0,0 +1,26 @@
+const assert = require('assert/strict');
+const test = require('node:test');
+const { DEFAULT_AXES, expandMatrix } = require('../lib/matrix');
+
+test('every combination of the default axes is a cell', () => {
+  const cells = expandMatrix();
+  const expected = Object.values(DEFAULT_AXES).reduce((count, values) => count * values.length, 1);
+  assert.equal(cells.length, expected);
+  assert.equal(new Set(cells.map(({ label }) => label)).size, expected);
+  assert.deepEqual(cells[0], {
+    label: 'ignoreErrors=true,timeout=1s,routers=1,type=parallel',
+    options: { ignoreErrors: true, routerTimeout: '1s', routerCount: 1, routerType: 'parallel' }
+  });
+});
+
+test('given axes replace the defaults, the rest keep them', () => {
+  const cells = expandMatrix({ routerTimeout: ['2s'], routerCount: [3], routerType: ['sequential'] });
+  assert.deepEqual(cells.map(({ label }) => label), [
+    'ignoreErrors=true,timeout=2s,routers=3,type=sequential',
+    'ignoreErrors=false,timeout=2s,routers=3,type=sequential'
+  ]);
+});
+
+test('an axis without values is rejected', () => {
+  assert.throws(() => expandMatrix({ routerCount: [] }), /Matrix axis 'routerCount' needs at least one value/);
+});
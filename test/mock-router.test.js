@@ -0,0 +1,108 @@
+const assert = require('assert/strict');
+const http = require('http');
+const test = require('node:test');
+const { MockRouter } = require('../lib/mock-router');
+const { unreachableAddrs } = require('../lib/provider-records');
+const { allocatePorts, releasePorts } = require('../lib/utils');
+
+// Where made-up provider records say their peers are
+const ADDRS = unreachableAddrs(19997);
+
+// Starts a router with behavior, sends count provider queries one after the
+// other and resolves to { statuses, bodies, router } once the last response has ended
+async function query(behavior, { path: requestPath = '/routing/v1/providers/QmTest', count = 1, headers = {} } = {}) {
+  const [port] = await allocatePorts(1);
+  const router = new MockRouter({ port, behavior });
+  await router.start();
+  try {
+    const statuses = [];
+    const bodies = [];
+    for (let i = 0; i < count; i++) {
+      await new Promise((resolve, reject) => {
+        http.get(`${router.endpoint}${requestPath}`, { agent: false, headers }, (res) => {
+          let body = '';
+          res.on('data', (chunk) => {
+            body += chunk;
+          });
+          res.on('end', () => {
+            statuses.push(res.statusCode);
+            bodies.push(body);
+            resolve();
+          });
+        }).on('error', reject);
+      });
+    }
+    return { statuses, status: statuses[0], bodies, body: bodies[0], router };
+  } finally {
+    await router.stop();
+    releasePorts([port]);
+  }
+}
+
+test('answers with the configured behavior', async () => {
+  assert.equal((await query('not-found')).status, 404);
+  assert.equal((await query({ name: 'http-503' })).status, 503);
+});
+
+test('a list is used in request order and its last entry repeats', async () => {
+  assert.deepEqual((await query(['http-500', 'empty'], { count: 3 })).statuses, [500, 200, 200]);
+});
+
+test('a function picks the behavior per request', async () => {
+  const { statuses, router } = await query((req, index) => (index === 0 ? 'http-502' : 'not-found'), { count: 2 });
+  assert.deepEqual(statuses, [502, 404]);
+  assert.deepEqual(router.requests.map(({ behavior }) => behavior), ['http-502', 'not-found']);
+});
+
+test('requests that are not routing queries get a plain 404', async () => {
+  const { status, router } = await query('http-500', { path: '/favicon.ico' });
+  assert.equal(status, 404);
+  assert.equal(router.requests[0].kind, 'other');
+});
+
+test('unknown behaviors are rejected up front', () => {
+  assert.throws(() => new MockRouter({ port: 0, behavior: 'bogus' }), /Unknown mock router behavior 'bogus'/);
+  assert.throws(() => new MockRouter({ port: 0, behavior: ['empty', 'bogus'] }), /'bogus'/);
+});
+
+test('redirect answers with then once its hops are done, lists included', async () => {
+  assert.equal((await query({ name: 'redirect', then: 'empty' })).status, 307);
+  assert.equal((await query({ name: 'redirect', then: ['empty'] }, { path: '/routing/v1/providers/QmTest?redirect-hop=1' })).status, 200);
+  assert.throws(() => new MockRouter({ port: 0, behavior: { name: 'redirect', then: 'bogus' } }), /'bogus'/);
+});
+
+test('a behavior that fails answers 500 and is recorded on the request', async () => {
+  const { status, router } = await query(() => 'nonexistent');
+  assert.equal(status, 500);
+  assert.match(router.requests[0].error, /Unknown mock router behavior 'nonexistent'/);
+
+  const redirected = await query({ name: 'redirect', then: () => 'nope' }, { path: '/routing/v1/providers/QmTest?redirect-hop=1' });
+  assert.equal(redirected.status, 500);
+  assert.match(redirected.router.requests[0].error, /'nope'/);
+});
+
+test('rate-limited answers 429 with Retry-After', async () => {
+  const { status, router } = await query({ name: 'rate-limited', retryAfter: 7 });
+  assert.equal(status, 429);
+  assert.equal(router.requests[0].responseHeaders['retry-after'], '7');
+});
+
+test('stream-* behaviors stream NDJSON to clients that accept it and send JSON to others', async () => {
+  const streamed = await query({ name: 'stream-slow', count: 2, addrs: ADDRS, intervalMs: 10 }, { headers: { Accept: 'application/x-ndjson' } });
+  assert.equal(streamed.router.requests[0].responseHeaders['content-type'], 'application/x-ndjson');
+  assert.equal(streamed.body.trim().split('\n').length, 2);
+  assert.equal(streamed.router.requests[0].streamedLines, 2);
+
+  const plain = await query({ name: 'stream-slow', count: 2, addrs: ADDRS, intervalMs: 10 });
+  assert.equal(JSON.parse(plain.body).Providers.length, 2);
+  assert.equal(plain.router.requests[0].streamedLines, null);
+});
+
+test('provider records advertise the addrs they are given and need some', async () => {
+  const { body } = await query({ name: 'stream-corrupt', count: 2, addrs: ADDRS }, { headers: { Accept: 'application/x-ndjson' } });
+  assert.deepEqual(JSON.parse(body.split('\n')[0]).Addrs, ADDRS);
+
+  const { status, router } = await query({ name: 'redirect', then: 'unreachable-providers' }, { path: '/routing/v1/providers/QmTest?redirect-hop=1' });
+  assert.equal(status, 500);
+  assert.match(router.requests[0].error, /need addrs/);
+});
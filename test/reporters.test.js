@@ -0,0 +1,52 @@
+const assert = require('assert/strict');
+const test = require('node:test');
+const { REPORTERS } = require('../lib/reporters');
+const { createScenarioResult, exitCodeForResults } = require('../lib/results');
+
+function result(scenario, fetchResult, extra = {}) {
+  return createScenarioResult({
+    scenario,
+    fetchResult: { exited: true, exitCode: 0, stdout: '', stderr: '', elapsedMs: 1500, startedAt: Date.now(), ...fetchResult },
+    ...extra
+  });
+}
+
+const hung = result('hangs', { exited: false, exitCode: null, timedOut: true }, { expect: { verdict: 'bug-confirmed' } });
+const errored = result('errors <fast>', { exitCode: 1, stderr: 'Error: routing: not found' });
+const fixed = result('fixed', { exitCode: 1, stderr: 'Error: routing: not found' }, { expect: { verdict: 'bug-confirmed' } });
+const broken = createScenarioResult({ scenario: 'broken', error: new Error('Port conflict detected') });
+
+test('the exit code is the worst verdict, an expectation mismatch counting as unexpected', () => {
+  assert.equal(exitCodeForResults([errored]), 0);
+  assert.equal(exitCodeForResults([errored, hung]), 2);
+  assert.equal(exitCodeForResults([errored, fixed]), 3);
+  assert.equal(exitCodeForResults([fixed, hung]), 2);
+  assert.equal(exitCodeForResults([hung, broken]), 1);
+  assert.equal(fixed.verdict, 'pass');
+  assert.equal(fixed.matchesExpectation, false);
+});
+
+test('json carries the results and the exit code', () => {
+  const report = JSON.parse(REPORTERS.json([hung, errored]));
+  assert.equal(report.exitCode, 2);
+  assert.deepEqual(report.results.map(({ scenario, verdict }) => [scenario, verdict]), [['hangs', 'bug-confirmed'], ['errors <fast>', 'pass']]);
+});
+
+test('junit fails bugs and expectation mismatches and errors harness failures', () => {
+  const report = REPORTERS.junit([hung, errored, fixed, broken]);
+  assert.match(report, /<testsuites name="kubo-router-repro" tests="4" failures="2" errors="1"/);
+  assert.doesNotMatch(report.match(/name="errors &lt;fast&gt;"[^]*?<\/testcase>/)[0], /<failure/);
+  assert.match(report, /<failure message="bug-confirmed: hung" type="bug-confirmed">/);
+  assert.match(report, /<failure message="pass: failed-with-error, expected bug-confirmed" type="pass">/);
+  assert.match(report, /<error message="Port conflict detected">/);
+});
+
+test('tap marks bugs, expectation mismatches and harness errors not ok', () => {
+  const lines = REPORTERS.tap([hung, errored, fixed, broken]).split('\n').filter(line => /^(not )?ok/.test(line));
+  assert.deepEqual(lines, [
+    'not ok 1 - hangs # bug-confirmed',
+    'ok 2 - errors <fast> # pass',
+    'not ok 3 - fixed # pass, expected bug-confirmed',
+    'not ok 4 - broken # harness-error'
+  ]);
+});
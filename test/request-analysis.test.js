@@ -0,0 +1,97 @@
+const assert = require('assert/strict');
+const test = require('node:test');
+const { analyzeRouterRequests } = require('../lib/request-analysis');
+
+// A router log entry as MockRouter.handleRequest records it
+function request(at, overrides = {}) {
+  return {
+    router: 'Router 1',
+    at,
+    method: 'GET',
+    url: '/routing/v1/providers/QmTest',
+    accept: 'application/json',
+    kind: 'providers',
+    behavior: 'not-found',
+    body: null,
+    status: 404,
+    responseHeaders: {},
+    streamedLines: null,
+    error: null,
+    closedAt: at + 5,
+    ...overrides
+  };
+}
+
+test('retries, intervals and offsets are relative to the fetch', () => {
+  const fetchResult = { startedAt: 1000, endedAt: 5000 };
+  const analysis = analyzeRouterRequests([
+    request(1100),
+    request(1150, { kind: 'other', url: '/favicon.ico' }),
+    request(1600),
+    request(3600),
+    request(6000)
+  ], fetchResult);
+
+  assert.equal(analysis.totalRequests, 5);
+  assert.equal(analysis.routingRequests, 4);
+  assert.equal(analysis.providerRequests, 4);
+  assert.equal(analysis.retries, 3);
+  assert.equal(analysis.firstRequestOffsetMs, 100);
+  assert.equal(analysis.lastRequestOffsetMs, 5000);
+  assert.deepEqual(analysis.intervalsMs, [500, 2000, 2400]);
+  assert.equal(analysis.medianIntervalMs, 2000);
+  assert.equal(analysis.histogram['100ms-1s'], 1);
+  assert.equal(analysis.histogram['1s-5s'], 2);
+  assert.equal(analysis.afterClientGaveUp, 1);
+  assert.equal(analysis.keptQueryingAfterClientGaveUp, true);
+});
+
+test('no routing requests leaves the timings empty', () => {
+  const analysis = analyzeRouterRequests([request(100, { kind: 'other' })]);
+  assert.equal(analysis.routingRequests, 0);
+  assert.equal(analysis.firstRequestOffsetMs, null);
+  assert.equal(analysis.medianIntervalMs, null);
+  assert.equal(analysis.keptQueryingAfterClientGaveUp, false);
+});
+
+test('provide announcements record announced and accepted keys', () => {
+  const body = (key) => ({ Providers: [{ Schema: 'announcement', Payload: { Keys: [key] } }] });
+  const analysis = analyzeRouterRequests([
+    request(100, { method: 'PUT', url: '/routing/v1/providers', kind: 'provide', body: body('QmAccepted'), status: 200 }),
+    request(200, { method: 'PUT', url: '/routing/v1/providers', kind: 'provide', body: body({ '/': 'QmRejected' }), status: 500 })
+  ]);
+  assert.deepEqual(analysis.announcedKeys, ['QmAccepted', 'QmRejected']);
+  assert.deepEqual(analysis.acceptedKeys, ['QmAccepted']);
+});
+
+test('retrying before Retry-After is counted', () => {
+  const limited = { status: 429, responseHeaders: { 'retry-after': '5' } };
+  const analysis = analyzeRouterRequests([
+    request(0, { ...limited, closedAt: 0 }),
+    request(1000, { ...limited, closedAt: 1000 }),
+    request(7000)
+  ]);
+  assert.equal(analysis.rateLimit.retryAfterMs, 5000);
+  assert.deepEqual(analysis.rateLimit.gapsMs, [1000, 6000]);
+  assert.equal(analysis.rateLimit.retriedEarly, 1);
+});
+
+test('followed redirects and repeats of cacheable 404s are counted', () => {
+  const analysis = analyzeRouterRequests([
+    request(0, { status: 307, responseHeaders: { location: '/routing/v1/providers/QmTest?redirect-hop=1' }, closedAt: 0 }),
+    request(10, { url: '/routing/v1/providers/QmTest?redirect-hop=1', responseHeaders: { 'cache-control': 'public, max-age=300' }, closedAt: 10 }),
+    request(500, { url: '/routing/v1/providers/QmTest?redirect-hop=1' })
+  ]);
+  assert.deepEqual(analysis.redirects, { responses: 1, followed: 1 });
+  assert.equal(analysis.caching.cacheableNotFound, 1);
+  assert.equal(analysis.caching.repeatsWithinMaxAge, 1);
+});
+
+test('NDJSON streams still open are reported', () => {
+  const ndjson = { accept: 'application/x-ndjson, application/json' };
+  const analysis = analyzeRouterRequests([
+    request(0, { ...ndjson, streamedLines: 3 }),
+    request(100, { ...ndjson, streamedLines: 2, closedAt: null })
+  ]);
+  assert.deepEqual(analysis.streaming, { acceptedNdjson: 2, streams: 2, linesStreamed: 5, stillOpen: 1 });
+});
@@ -0,0 +1,33 @@
+const assert = require('assert/strict');
+const test = require('node:test');
+const { createScenarioResult } = require('../lib/results');
+const { expandScenario } = require('../lib/scenarios');
+
+function fetchResult(overrides = {}) {
+  return { exited: true, exitCode: 0, stdout: '', stderr: '', elapsedMs: 100, startedAt: Date.now(), ...overrides };
+}
+
+function provideRun(name) {
+  return expandScenario('delegated-provide', {}).find(scenario => scenario.name === name);
+}
+
+function verdictOf(scenario, result, provide) {
+  return createScenarioResult({ scenario: scenario.name, fetchResult: result, control: scenario.control, outcomeVerdicts: scenario.outcomeVerdicts, provide }).verdict;
+}
+
+test('a routing provide that reports success is judged by what the routers accepted', () => {
+  const scenario = provideRun('delegated-provide:routing-provide:http-500');
+  const succeeded = fetchResult();
+  assert.equal(verdictOf(scenario, succeeded, { cid: 'Qm', announced: true, accepted: false }), 'bug-confirmed');
+  assert.equal(verdictOf(scenario, succeeded, { cid: 'Qm', announced: false, accepted: false }), 'bug-confirmed');
+  assert.equal(verdictOf(scenario, succeeded, { cid: 'Qm', announced: true, accepted: true }), 'pass');
+  assert.equal(verdictOf(scenario, fetchResult({ exitCode: 1, stderr: 'Error: provide failed' }), { cid: 'Qm', announced: true, accepted: false }), 'pass');
+});
+
+test('add is expected to succeed whatever the provide routers do', () => {
+  const scenario = provideRun('delegated-provide:add:offline');
+  const provide = { cid: 'Qm', announced: false, accepted: false };
+  assert.equal(verdictOf(scenario, fetchResult({ stdout: 'Qm\n' }), provide), 'pass');
+  assert.equal(verdictOf(scenario, fetchResult({ exitCode: 1, stderr: 'Error: routing: provide' }), provide), 'bug-confirmed');
+  assert.equal(verdictOf(scenario, fetchResult({ exited: false, exitCode: null }), provide), 'bug-confirmed');
+});
@@ -0,0 +1,29 @@
+const assert = require('assert/strict');
+const test = require('node:test');
+const util = require('util');
+const { bufferRunOutput } = require('../lib/run-output');
+const { sleep } = require('../lib/utils');
+
+test('runs going side by side print their output in one piece each', async () => {
+  const printed = [];
+  const log = console.log;
+  const error = console.error;
+  console.log = (...args) => printed.push(util.format(...args));
+  console.error = (...args) => printed.push(`stderr ${util.format(...args)}`);
+  try {
+    const output = bufferRunOutput();
+    const run = (name, delayMs) => output.capture(async () => {
+      console.log(`${name} 1`);
+      await sleep(delayMs);
+      console.error(`${name} 2`);
+      return name;
+    });
+    assert.deepEqual(await Promise.all([run('slow', 30), run('fast', 5)]), ['slow', 'fast']);
+    console.log('outside');
+    output.restore();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+  assert.deepEqual(printed, ['fast 1', 'stderr fast 2', 'slow 1', 'stderr slow 2', 'outside']);
+});
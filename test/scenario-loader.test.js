@@ -0,0 +1,100 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { ScenarioFileError, validateScenario, loadScenarioFile } = require('../lib/scenario-loader');
+
+function scenario(overrides = {}) {
+  return {
+    name: 'test-scenario',
+    description: 'A scenario for the validator',
+    routers: [{ behavior: 'not-found' }],
+    ...overrides
+  };
+}
+
+function routerBehavior(behavior) {
+  return validateScenario(scenario({ routers: [{ behavior }] }));
+}
+
+test('a minimal scenario is valid', () => {
+  assert.deepEqual(validateScenario(scenario()), []);
+});
+
+test('required fields and unknown fields are reported', () => {
+  const problems = validateScenario({ routers: [], extra: true });
+  assert.ok(problems.some(problem => problem.includes("unknown field 'extra'")));
+  assert.ok(problems.some(problem => problem.startsWith('name')));
+  assert.ok(problems.some(problem => problem.startsWith('description')));
+  assert.ok(problems.some(problem => problem.startsWith('routers is required')));
+});
+
+test('unknown behaviors are reported with the field they are in', () => {
+  assert.equal(routerBehavior(['empty', 'bogus']).length, 1);
+  assert.match(routerBehavior(['empty', 'bogus'])[0], /^routers\[0\]\.behavior\[1\]: unknown behavior 'bogus'/);
+});
+
+test('offline only works on its own and provider-node needs a providerNode', () => {
+  assert.deepEqual(routerBehavior('offline'), []);
+  assert.match(routerBehavior(['empty', 'offline'])[0], /can only be used on its own/);
+  assert.match(routerBehavior('provider-node')[0], /needs a providerNode/);
+  assert.deepEqual(validateScenario(scenario({ routers: [{ behavior: 'provider-node' }], providerNode: {} })), []);
+});
+
+test('durations and verdicts are checked', () => {
+  assert.match(validateScenario(scenario({ routerTimeout: 'soon' }))[0], /^routerTimeout/);
+  assert.deepEqual(validateScenario(scenario({ expect: { verdict: 'pass', maxTimeToFailure: '10s' } })), []);
+  assert.match(validateScenario(scenario({ expect: { verdict: 'fine' } }))[0], /^expect\.verdict/);
+});
+
+test('loadScenarioFile lists every problem in a ScenarioFileError', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kubo-router-repro-test-'));
+  try {
+    const file = path.join(directory, 'broken.json');
+    fs.writeFileSync(file, JSON.stringify({ name: 'Broken Name', routers: [{ behavior: 'bogus' }] }));
+    assert.throws(() => loadScenarioFile(file), (error) => {
+      assert.ok(error instanceof ScenarioFileError);
+      assert.equal(error.problems.length, 3);
+      return true;
+    });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('the shipped scenario files are valid', () => {
+  const directory = path.join(__dirname, '..', 'scenarios');
+  for (const file of fs.readdirSync(directory)) {
+    assert.doesNotThrow(() => loadScenarioFile(path.join(directory, file)), file);
+  }
+});
+
+test('gateway commands take exactly one path', () => {
+  assert.deepEqual(validateScenario(scenario({ command: ['gateway', '/ipfs/{cid}'] })), []);
+  assert.match(validateScenario(scenario({ command: ['gateway', 'ipfs/{cid}'] }))[0], /takes exactly one path/);
+  assert.match(validateScenario(scenario({ command: ['gateway', '/ipfs/{cid}', '/extra'] }))[0], /takes exactly one path/);
+});
+
+test('rpc commands need an API command', () => {
+  assert.deepEqual(validateScenario(scenario({ command: ['rpc', 'routing/findprovs', '{cid}'] })), []);
+  assert.match(validateScenario(scenario({ command: ['rpc'] }))[0], /needs an API command/);
+});
+
+test("redirect's then is validated like any other behavior", () => {
+  assert.deepEqual(routerBehavior({ name: 'redirect', then: 'empty' }), []);
+  assert.deepEqual(routerBehavior({ name: 'redirect', then: ['empty', { name: 'http-500' }] }), []);
+  assert.match(routerBehavior({ name: 'redirect', then: 'bogus' })[0], /^routers\[0\]\.behavior\.then: unknown behavior 'bogus'/);
+  assert.match(routerBehavior({ name: 'redirect', then: ['offline'] })[0], /^routers\[0\]\.behavior\.then\[0\]: unknown behavior 'offline'/);
+  assert.match(routerBehavior({ name: 'redirect', then: { name: 'redirect', then: 'nope' } })[0], /behavior\.then\.then: unknown behavior 'nope'/);
+});
+
+test('maxTimeToFailure takes a duration or a multiple of the router Timeout', () => {
+  assert.deepEqual(validateScenario(scenario({ expect: { maxTimeToFailure: '2x routerTimeout' } })), []);
+  assert.match(validateScenario(scenario({ expect: { maxTimeToFailure: 'twice' } }))[0], /^expect\.maxTimeToFailure/);
+});
+
+test('tls-stall needs an HTTPS router', () => {
+  assert.deepEqual(validateScenario(scenario({ routers: [{ behavior: 'not-found', network: 'tls-stall', tls: 'trusted' }] })), []);
+  assert.match(validateScenario(scenario({ routers: [{ behavior: 'not-found', network: { name: 'tls-stall' } }] }))[0], /^routers\[0\]\.network: 'tls-stall' needs an HTTPS router/);
+});
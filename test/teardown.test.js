@@ -0,0 +1,29 @@
+const assert = require('assert/strict');
+const { spawn } = require('child_process');
+const test = require('node:test');
+const { registerTeardown, trackChild, killProcessGroup, runTeardown } = require('../lib/teardown');
+
+// runTeardown() runs once per process, so this file has a single test for it
+test('runTeardown runs what is still registered, newest first, past failures', async () => {
+  const ran = [];
+  registerTeardown('first', () => ran.push('first'));
+  const unregister = registerTeardown('unregistered', () => ran.push('unregistered'));
+  registerTeardown('failing', () => {
+    throw new Error('boom');
+  });
+  registerTeardown('last', async () => ran.push('last'));
+  unregister();
+
+  const child = trackChild(spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { detached: true, stdio: 'ignore' }));
+  const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve(signal)));
+
+  await Promise.all([runTeardown('test'), runTeardown('again')]);
+  assert.deepEqual(ran, ['last', 'first']);
+  assert.equal(await exited, 'SIGKILL');
+});
+
+test('killProcessGroup leaves processes that already exited alone', async () => {
+  const child = spawn(process.execPath, ['-e', ''], { detached: true, stdio: 'ignore' });
+  await new Promise(resolve => child.on('exit', resolve));
+  assert.doesNotThrow(() => killProcessGroup(child, 'SIGTERM'));
+});
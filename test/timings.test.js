@@ -0,0 +1,51 @@
+const assert = require('assert/strict');
+const test = require('node:test');
+const { parseBudget, resolveBudget, measurePhases } = require('../lib/timings');
+const { createScenarioResult } = require('../lib/results');
+
+test('budgets are durations or multiples of the router Timeout', () => {
+  assert.deepEqual(parseBudget('10s'), { ms: 10000 });
+  assert.deepEqual(parseBudget('2x routerTimeout'), { routerTimeouts: 2 });
+  assert.deepEqual(parseBudget('1.5xrouterTimeout'), { routerTimeouts: 1.5 });
+  assert.throws(() => parseBudget('twice'), /Invalid time-to-failure budget/);
+  assert.throws(() => parseBudget('2x fetchTimeout'), /Invalid time-to-failure budget/);
+});
+
+test('resolveBudget scales with the run', () => {
+  assert.deepEqual(resolveBudget('2x routerTimeout', { routerTimeout: '5s' }), { spec: '2x routerTimeout', maxMs: 10000 });
+  assert.deepEqual(resolveBudget('2x routerTimeout', { routerTimeout: '1s' }), { spec: '2x routerTimeout', maxMs: 2000 });
+  assert.deepEqual(resolveBudget('30s', { routerTimeout: '1s' }), { spec: '30s', maxMs: 30000 });
+});
+
+test('phases count only routing queries made while the client ran', () => {
+  const fetchResult = { startedHr: 1000, timings: { spawnMs: 2, firstStdoutMs: null, firstStderrMs: 900, exitMs: 1000 } };
+  const routers = [{
+    requests: [
+      { kind: 'providers', hrAt: 1100 },
+      { kind: 'other', hrAt: 1200 },
+      { kind: 'providers', hrAt: 1700 },
+      { kind: 'providers', hrAt: 2500 }
+    ]
+  }];
+  assert.deepEqual(measurePhases(fetchResult, routers), {
+    spawnMs: 2,
+    firstRouterRequestMs: 100,
+    lastRouterRequestMs: 700,
+    firstStdoutMs: null,
+    firstStderrMs: 900,
+    exitMs: 1000
+  });
+});
+
+test('a command that gives up after the budget failed slowly', () => {
+  const fetchResult = { exited: true, exitCode: 1, stdout: '', stderr: 'Error: routing: not found', elapsedMs: 12000, startedAt: Date.now() };
+  const budget = resolveBudget('2x routerTimeout', { routerTimeout: '5s' });
+  const slow = createScenarioResult({ scenario: 'slow', fetchResult, budget, phases: { exitMs: 12000 } });
+  assert.equal(slow.outcome, 'failed-slowly');
+  assert.equal(slow.verdict, 'bug-confirmed');
+  assert.equal(slow.timeToFailureMs, 12000);
+
+  const quick = createScenarioResult({ scenario: 'quick', fetchResult, budget, phases: { exitMs: 8000 } });
+  assert.equal(quick.outcome, 'failed-with-error');
+  assert.equal(quick.verdict, 'pass');
+});
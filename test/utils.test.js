@@ -0,0 +1,22 @@
+const assert = require('assert/strict');
+const test = require('node:test');
+const { parseDuration, allocatePorts, releasePorts, checkPortFree } = require('../lib/utils');
+
+test('parseDuration reads the kubo config format', () => {
+  assert.equal(parseDuration('500ms'), 500);
+  assert.equal(parseDuration('5s'), 5000);
+  assert.equal(parseDuration('1m30s'), 90000);
+  assert.equal(parseDuration('1.5s'), 1500);
+  assert.equal(parseDuration('1h'), 3600000);
+  for (const invalid of ['', '5', 'soon', '5 s', '-1s']) {
+    assert.throws(() => parseDuration(invalid), /Invalid duration/, invalid);
+  }
+});
+
+test('allocatePorts never hands out a port twice until it is released', async () => {
+  const first = await allocatePorts(5);
+  const second = await allocatePorts(5);
+  assert.equal(new Set([...first, ...second]).size, 10);
+  assert.ok(await checkPortFree(first[0]));
+  releasePorts([...first, ...second]);
+});